@@ -0,0 +1,251 @@
+// config/certificateColumns.js - Single definition of the eo_certificates columns
+// The DB column names double as the JSON field names returned by the API,
+// so controllers, services and the upload mapper all read from here.
+// Migrations keep their own copy of the columns they touch, so changes made
+// here later do not alter an old migration; schema changes need a new one.
+
+const CERTIFICATE_COLUMNS = [
+  {
+    key: 'EO_NUMBER',
+    name: 'EO Number',
+    legacyName: 'eo_number',
+    type: 'string',
+    required: true,
+    unique: true,
+    index: true,
+    searchWeight: 'A',
+    aliases: ['EO_number', 'EO no', 'EO', 'EO_Number', 'eo_number']
+  },
+  {
+    key: 'VEHICLE_MAKE',
+    name: 'Vehicle Make',
+    legacyName: 'make',
+    type: 'string',
+    required: true,
+    index: true,
+    searchWeight: 'B',
+    aliases: ['Make', 'make']
+  },
+  {
+    key: 'VEHICLE_MODEL',
+    name: 'Vehicle Model',
+    legacyName: 'model',
+    type: 'string',
+    required: true,
+    index: true,
+    searchWeight: 'B',
+    aliases: ['Model', 'model']
+  },
+  {
+    key: 'EVAPORATIVE_FAMILY',
+    name: 'Evaporative Family',
+    legacyName: 'evaporative_family',
+    type: 'string',
+    searchWeight: 'C',
+    aliases: ['evaporative_family', 'evaporative family']
+  },
+  {
+    key: 'VEHICLE_CLASS',
+    name: 'Vehicle Class',
+    legacyName: null, // never created by migration 002
+    type: 'string',
+    aliases: ['vehicle_class', 'Vehicle class', 'Class']
+  },
+  {
+    key: 'YEAR',
+    name: 'Year',
+    legacyName: 'year',
+    type: 'integer',
+    required: true,
+    index: true,
+    aliases: ['year', 'YEAR']
+  },
+  {
+    key: 'MANUFACTURER',
+    name: 'Manufacturer',
+    legacyName: 'manufacturer',
+    type: 'string',
+    index: true,
+    searchWeight: 'C',
+    aliases: ['manufacturer', 'MANUFACTURER']
+  },
+  {
+    key: 'TEST_GROUP',
+    name: 'Test Group',
+    legacyName: 'test_group',
+    type: 'string',
+    searchWeight: 'C',
+    aliases: ['test_group', 'test group', 'testgroup']
+  },
+  {
+    key: 'ENGINE_SIZE_L',
+    name: 'Engine Size(L)',
+    legacyName: 'engine_size',
+    type: 'string',
+    aliases: ['Engine Size', 'engine_size', 'engine size', 'enginesize']
+  },
+  {
+    key: 'EXHAUST_ECS',
+    name: 'Exhaust Emission Control System (ECS)',
+    legacyName: 'exhaust_ecs_special_features',
+    type: 'text',
+    searchWeight: 'D',
+    aliases: ['Exhaust ECS', 'Exhaust ECS Special Features', 'exhaust_ecs', 'exhaustecsspecialfeatures']
+  }
+];
+
+// Bookkeeping columns that are not part of the certificate data itself
+const SYSTEM_COLUMNS = ['id', 'created_at', 'updated_at'];
+
+const CERTIFICATE_COLUMN_NAMES = CERTIFICATE_COLUMNS.map(c => c.name);
+
+// Executive order lifecycle (migration 014); changed only through the status endpoint
+const CERTIFICATE_STATUSES = ['active', 'superseded', 'revoked'];
+const STATUS_COLUMNS = ['status', 'status_reason', 'effective_date', 'expiry_date', 'superseded_by', 'status_changed_at'];
+
+// Columns returned by the API: everything except derived data (search_vector)
+const SELECT_COLUMNS = ['id', ...CERTIFICATE_COLUMN_NAMES, ...STATUS_COLUMNS, 'created_at', 'updated_at'];
+
+// Set while a certificate is in the trash (soft deleted); NULL otherwise
+const TRASH_COLUMNS = ['deleted_at', 'deleted_by'];
+
+// Columns indexed by the full-text search_vector, with their tsvector weight
+const SEARCH_COLUMNS = CERTIFICATE_COLUMNS.filter(c => c.searchWeight);
+
+const REQUIRED_COLUMNS = CERTIFICATE_COLUMNS.filter(c => c.required).map(c => c.name);
+
+// Quote an identifier for use inside knex.raw / whereRaw
+const quoteColumn = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+// Whitelist of sortable/filterable columns as quoted SQL identifiers
+const COL = Object.freeze(
+  CERTIFICATE_COLUMNS.reduce((acc, c) => {
+    acc[c.key] = quoteColumn(c.name);
+    return acc;
+  }, {})
+);
+
+// For safe sorting: accept only these exact strings from query
+const SORTABLE_COLUMNS = new Set([...CERTIFICATE_COLUMN_NAMES, ...SYSTEM_COLUMNS]);
+
+const getColumn = (name) => CERTIFICATE_COLUMNS.find(c => c.name === name);
+
+// Coerce a raw value (request body, spreadsheet cell) to the column's type.
+// Integer columns take whole numbers only: "2010abc" or "20 10" become null
+// (reported by fieldErrors / validateRecord) instead of parseInt's 2010 / 20.
+const normalizeValue = (column, value) => {
+  if (value === undefined || value === null) return null;
+  if (column.type === 'integer') {
+    const text = String(value).trim();
+    const n = typeof value === 'number' ? value : (/^-?\d+$/.test(text) ? Number(text) : NaN);
+    return Number.isSafeInteger(n) ? n : null;
+  }
+  const s = String(value).trim();
+  return s === '' ? null : s;
+};
+
+// Build a record keyed by exact DB column names from an object that already
+// uses those names (API request bodies)
+const pickCertificateFields = (source = {}) =>
+  CERTIFICATE_COLUMNS.reduce((record, c) => {
+    record[c.name] = normalizeValue(c, source[c.name]);
+    return record;
+  }, {});
+
+// Same as pickCertificateFields, but only for the columns present in source
+const pickProvidedFields = (source = {}) =>
+  CERTIFICATE_COLUMNS.reduce((record, c) => {
+    if (Object.prototype.hasOwnProperty.call(source, c.name)) {
+      record[c.name] = normalizeValue(c, source[c.name]);
+    }
+    return record;
+  }, {});
+
+// Build a record from a spreadsheet row, accepting the known header variants.
+// Also reports which source header fed each column.
+const mapRowWithSources = (row = {}) =>
+  CERTIFICATE_COLUMNS.reduce((result, c) => {
+    const header = [c.name, ...c.aliases].find(h => row[h] !== undefined && row[h] !== '');
+    result.record[c.name] = normalizeValue(c, header ? row[header] : undefined);
+    result.mapping[c.name] = header || null;
+    return result;
+  }, { record: {}, mapping: {} });
+
+const mapRowToRecord = (row = {}) => mapRowWithSources(row).record;
+
+// Names of required columns missing from a record
+const missingRequired = (record) =>
+  REQUIRED_COLUMNS.filter(name => record[name] === undefined || record[name] === null || record[name] === '');
+
+// Model years accepted for a certificate
+const yearBounds = () => ({ min: 1900, max: new Date().getFullYear() + 2 });
+
+// Longest value a 'string' (varchar) column holds
+const MAX_STRING_LENGTH = 255;
+
+// Validation messages for the fields present in an API request body.
+// Fields the API returns but does not accept (id, status, timestamps) are
+// ignored; any other unknown field is reported.
+const fieldErrors = (source = {}) => {
+  const errors = [];
+
+  Object.keys(source).forEach((name) => {
+    const column = getColumn(name);
+    if (!column) {
+      if (!SELECT_COLUMNS.includes(name)) errors.push(`Unknown field: ${name}`);
+      return;
+    }
+
+    const value = source[name];
+    if (value !== null && !['string', 'number'].includes(typeof value)) {
+      errors.push(`${name} must be a string or number`);
+      return;
+    }
+
+    const normalized = normalizeValue(column, value);
+    const blank = value === null || String(value).trim() === '';
+    if (normalized === null && !blank) {
+      errors.push(`${name} must be a whole number (got "${value}")`);
+      return;
+    }
+    if (normalized === null) {
+      if (column.required) errors.push(`${name} is required and cannot be empty`);
+      return;
+    }
+
+    if (column.type === 'string' && normalized.length > MAX_STRING_LENGTH) {
+      errors.push(`${name} must be at most ${MAX_STRING_LENGTH} characters`);
+    }
+
+    if (name === 'Year') {
+      const { min, max } = yearBounds();
+      if (normalized < min || normalized > max) errors.push(`Year must be between ${min} and ${max}`);
+    }
+  });
+
+  return errors;
+};
+
+module.exports = {
+  CERTIFICATE_COLUMNS,
+  CERTIFICATE_COLUMN_NAMES,
+  REQUIRED_COLUMNS,
+  SYSTEM_COLUMNS,
+  CERTIFICATE_STATUSES,
+  STATUS_COLUMNS,
+  SELECT_COLUMNS,
+  TRASH_COLUMNS,
+  SEARCH_COLUMNS,
+  COL,
+  SORTABLE_COLUMNS,
+  quoteColumn,
+  getColumn,
+  normalizeValue,
+  pickCertificateFields,
+  pickProvidedFields,
+  mapRowWithSources,
+  mapRowToRecord,
+  missingRequired,
+  yearBounds,
+  fieldErrors
+};
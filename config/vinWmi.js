@@ -0,0 +1,150 @@
+// config/vinWmi.js - World Manufacturer Identifier (first 3 VIN characters) table
+// Bundled so VINs decode offline. `makes` are spelled as they appear in the
+// CARB EO data; codes shared by several brands list all of them.
+// Only light-duty codes seen on the road in California are included; add
+// entries here as new ones turn up.
+
+const VIN_WMI = {
+  // ---- Ford Motor Company ----
+  '1FA': { manufacturer: 'Ford Motor Company', makes: ['Ford'] },
+  '1FB': { manufacturer: 'Ford Motor Company', makes: ['Ford'] },
+  '1FC': { manufacturer: 'Ford Motor Company', makes: ['Ford'] },
+  '1FD': { manufacturer: 'Ford Motor Company', makes: ['Ford'] },
+  '1FM': { manufacturer: 'Ford Motor Company', makes: ['Ford'] },
+  '1FT': { manufacturer: 'Ford Motor Company', makes: ['Ford'] },
+  '2FA': { manufacturer: 'Ford Motor Company', makes: ['Ford'] },
+  '2FM': { manufacturer: 'Ford Motor Company', makes: ['Ford'] },
+  '2FT': { manufacturer: 'Ford Motor Company', makes: ['Ford'] },
+  '3FA': { manufacturer: 'Ford Motor Company', makes: ['Ford'] },
+  '3FT': { manufacturer: 'Ford Motor Company', makes: ['Ford'] },
+  '1LN': { manufacturer: 'Ford Motor Company', makes: ['Lincoln'] },
+  '5LM': { manufacturer: 'Ford Motor Company', makes: ['Lincoln'] },
+  '1ME': { manufacturer: 'Ford Motor Company', makes: ['Mercury'] },
+  '2ME': { manufacturer: 'Ford Motor Company', makes: ['Mercury'] },
+  '4M2': { manufacturer: 'Ford Motor Company', makes: ['Mercury'] },
+
+  // ---- General Motors ----
+  '1G1': { manufacturer: 'General Motors', makes: ['Chevrolet'] },
+  '1GC': { manufacturer: 'General Motors', makes: ['Chevrolet'] },
+  '1GB': { manufacturer: 'General Motors', makes: ['Chevrolet'] },
+  '1GN': { manufacturer: 'General Motors', makes: ['Chevrolet'] },
+  '2G1': { manufacturer: 'General Motors', makes: ['Chevrolet'] },
+  '2GC': { manufacturer: 'General Motors', makes: ['Chevrolet'] },
+  '2GN': { manufacturer: 'General Motors', makes: ['Chevrolet'] },
+  '3G1': { manufacturer: 'General Motors', makes: ['Chevrolet'] },
+  '3GC': { manufacturer: 'General Motors', makes: ['Chevrolet'] },
+  '3GN': { manufacturer: 'General Motors', makes: ['Chevrolet'] },
+  '1GT': { manufacturer: 'General Motors', makes: ['GMC'] },
+  '1GK': { manufacturer: 'General Motors', makes: ['GMC'] },
+  '1GD': { manufacturer: 'General Motors', makes: ['GMC'] },
+  '2GT': { manufacturer: 'General Motors', makes: ['GMC'] },
+  '3GT': { manufacturer: 'General Motors', makes: ['GMC'] },
+  '3GK': { manufacturer: 'General Motors', makes: ['GMC'] },
+  '1G4': { manufacturer: 'General Motors', makes: ['Buick'] },
+  '5GA': { manufacturer: 'General Motors', makes: ['Buick'] },
+  '1G6': { manufacturer: 'General Motors', makes: ['Cadillac'] },
+  '1GY': { manufacturer: 'General Motors', makes: ['Cadillac'] },
+  '1G2': { manufacturer: 'General Motors', makes: ['Pontiac'] },
+  '1G3': { manufacturer: 'General Motors', makes: ['Oldsmobile'] },
+  '1G8': { manufacturer: 'General Motors', makes: ['Saturn'] },
+  '5GR': { manufacturer: 'General Motors', makes: ['Hummer'] },
+
+  // ---- Chrysler / FCA / Stellantis ----
+  '1C3': { manufacturer: 'FCA US LLC', makes: ['Chrysler', 'Dodge'] },
+  '1C4': { manufacturer: 'FCA US LLC', makes: ['Chrysler', 'Dodge', 'Jeep'] },
+  '1C6': { manufacturer: 'FCA US LLC', makes: ['Ram', 'Dodge'] },
+  '2C3': { manufacturer: 'FCA US LLC', makes: ['Chrysler', 'Dodge'] },
+  '2C4': { manufacturer: 'FCA US LLC', makes: ['Chrysler', 'Dodge'] },
+  '3C4': { manufacturer: 'FCA US LLC', makes: ['Chrysler', 'Dodge', 'Jeep'] },
+  '3C6': { manufacturer: 'FCA US LLC', makes: ['Ram', 'Dodge'] },
+  '1B3': { manufacturer: 'Chrysler Corporation', makes: ['Dodge'] },
+  '1B4': { manufacturer: 'Chrysler Corporation', makes: ['Dodge'] },
+  '1B7': { manufacturer: 'Chrysler Corporation', makes: ['Dodge'] },
+  '2B3': { manufacturer: 'Chrysler Corporation', makes: ['Dodge'] },
+  '1D7': { manufacturer: 'Chrysler Corporation', makes: ['Dodge', 'Ram'] },
+  '3D7': { manufacturer: 'Chrysler Corporation', makes: ['Dodge', 'Ram'] },
+  '1J4': { manufacturer: 'Chrysler Corporation', makes: ['Jeep'] },
+  '1J8': { manufacturer: 'Chrysler Corporation', makes: ['Jeep'] },
+
+  // ---- Honda / Acura ----
+  '1HG': { manufacturer: 'American Honda Motor Co.', makes: ['Honda'] },
+  '2HG': { manufacturer: 'American Honda Motor Co.', makes: ['Honda'] },
+  '5FN': { manufacturer: 'American Honda Motor Co.', makes: ['Honda'] },
+  '5J6': { manufacturer: 'American Honda Motor Co.', makes: ['Honda'] },
+  'JHM': { manufacturer: 'Honda Motor Co.', makes: ['Honda'] },
+  '19U': { manufacturer: 'American Honda Motor Co.', makes: ['Acura'] },
+  'JH4': { manufacturer: 'Honda Motor Co.', makes: ['Acura'] },
+
+  // ---- Nissan / Infiniti ----
+  '1N4': { manufacturer: 'Nissan North America', makes: ['Nissan'] },
+  '1N6': { manufacturer: 'Nissan North America', makes: ['Nissan'] },
+  '5N1': { manufacturer: 'Nissan North America', makes: ['Nissan', 'Infiniti'] },
+  '3N1': { manufacturer: 'Nissan North America', makes: ['Nissan'] },
+  'JN1': { manufacturer: 'Nissan Motor Co.', makes: ['Nissan', 'Infiniti'] },
+  'JN8': { manufacturer: 'Nissan Motor Co.', makes: ['Nissan', 'Infiniti'] },
+  'JNK': { manufacturer: 'Nissan Motor Co.', makes: ['Infiniti'] },
+
+  // ---- Toyota / Lexus ----
+  '4T1': { manufacturer: 'Toyota Motor Manufacturing', makes: ['Toyota'] },
+  '4T3': { manufacturer: 'Toyota Motor Manufacturing', makes: ['Toyota'] },
+  '5TD': { manufacturer: 'Toyota Motor Manufacturing', makes: ['Toyota'] },
+  '5TF': { manufacturer: 'Toyota Motor Manufacturing', makes: ['Toyota'] },
+  '2T1': { manufacturer: 'Toyota Motor Manufacturing Canada', makes: ['Toyota'] },
+  '2T3': { manufacturer: 'Toyota Motor Manufacturing Canada', makes: ['Toyota'] },
+  'JTD': { manufacturer: 'Toyota Motor Corporation', makes: ['Toyota'] },
+  'JTE': { manufacturer: 'Toyota Motor Corporation', makes: ['Toyota'] },
+  'JTM': { manufacturer: 'Toyota Motor Corporation', makes: ['Toyota'] },
+  'JTN': { manufacturer: 'Toyota Motor Corporation', makes: ['Toyota'] },
+  'JTH': { manufacturer: 'Toyota Motor Corporation', makes: ['Lexus'] },
+  'JTJ': { manufacturer: 'Toyota Motor Corporation', makes: ['Lexus'] },
+  '2T2': { manufacturer: 'Toyota Motor Manufacturing Canada', makes: ['Lexus'] },
+
+  // ---- Other Japanese ----
+  'JF1': { manufacturer: 'Subaru Corporation', makes: ['Subaru'] },
+  'JF2': { manufacturer: 'Subaru Corporation', makes: ['Subaru'] },
+  '4S3': { manufacturer: 'Subaru of Indiana Automotive', makes: ['Subaru'] },
+  '4S4': { manufacturer: 'Subaru of Indiana Automotive', makes: ['Subaru'] },
+  'JM1': { manufacturer: 'Mazda Motor Corporation', makes: ['Mazda'] },
+  'JM3': { manufacturer: 'Mazda Motor Corporation', makes: ['Mazda'] },
+  'JA3': { manufacturer: 'Mitsubishi Motors', makes: ['Mitsubishi'] },
+  'JA4': { manufacturer: 'Mitsubishi Motors', makes: ['Mitsubishi'] },
+  'JS1': { manufacturer: 'Suzuki Motor Corporation', makes: ['Suzuki'] },
+  'JS3': { manufacturer: 'Suzuki Motor Corporation', makes: ['Suzuki'] },
+
+  // ---- Hyundai / Kia ----
+  'KMH': { manufacturer: 'Hyundai Motor Company', makes: ['Hyundai'] },
+  '5NP': { manufacturer: 'Hyundai Motor Manufacturing Alabama', makes: ['Hyundai'] },
+  'KNA': { manufacturer: 'Kia Corporation', makes: ['Kia'] },
+  'KND': { manufacturer: 'Kia Corporation', makes: ['Kia'] },
+  '5XY': { manufacturer: 'Kia Georgia', makes: ['Kia', 'Hyundai'] },
+
+  // ---- European ----
+  'WBA': { manufacturer: 'BMW AG', makes: ['BMW'] },
+  'WBS': { manufacturer: 'BMW AG', makes: ['BMW'] },
+  '5UX': { manufacturer: 'BMW Manufacturing Co.', makes: ['BMW'] },
+  'WMW': { manufacturer: 'BMW AG', makes: ['MINI'] },
+  'WDB': { manufacturer: 'Mercedes-Benz AG', makes: ['Mercedes-Benz'] },
+  'WDD': { manufacturer: 'Mercedes-Benz AG', makes: ['Mercedes-Benz'] },
+  'WDC': { manufacturer: 'Mercedes-Benz AG', makes: ['Mercedes-Benz'] },
+  '4JG': { manufacturer: 'Mercedes-Benz U.S. International', makes: ['Mercedes-Benz'] },
+  'WVW': { manufacturer: 'Volkswagen AG', makes: ['Volkswagen'] },
+  'WVG': { manufacturer: 'Volkswagen AG', makes: ['Volkswagen'] },
+  '1VW': { manufacturer: 'Volkswagen Group of America', makes: ['Volkswagen'] },
+  '3VW': { manufacturer: 'Volkswagen de Mexico', makes: ['Volkswagen'] },
+  'WAU': { manufacturer: 'Audi AG', makes: ['Audi'] },
+  'WA1': { manufacturer: 'Audi AG', makes: ['Audi'] },
+  'WP0': { manufacturer: 'Porsche AG', makes: ['Porsche'] },
+  'WP1': { manufacturer: 'Porsche AG', makes: ['Porsche'] },
+  'YV1': { manufacturer: 'Volvo Cars', makes: ['Volvo'] },
+  'YV4': { manufacturer: 'Volvo Cars', makes: ['Volvo'] },
+  'SAJ': { manufacturer: 'Jaguar Land Rover', makes: ['Jaguar'] },
+  'SAL': { manufacturer: 'Jaguar Land Rover', makes: ['Land Rover'] },
+  'ZFF': { manufacturer: 'Ferrari S.p.A.', makes: ['Ferrari'] },
+  'ZAR': { manufacturer: 'Alfa Romeo', makes: ['Alfa Romeo'] },
+  'ZFA': { manufacturer: 'Fiat', makes: ['Fiat'] },
+
+  // ---- Other North American ----
+  '5YJ': { manufacturer: 'Tesla, Inc.', makes: ['Tesla'] }
+};
+
+module.exports = { VIN_WMI };
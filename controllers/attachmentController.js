@@ -0,0 +1,114 @@
+// controllers/attachmentController.js - EO PDF documents attached to certificates
+// Uploads and deletes are admin only; approved users list and download.
+// Files are served from private storage, never from a static mount.
+const fs = require('fs');
+const {
+  AttachmentError,
+  attachmentPath,
+  saveAttachments,
+  listAttachments,
+  findAttachment,
+  deleteAttachment
+} = require('../services/certificateAttachments');
+
+// Public view of an attachment
+const formatAttachment = (attachment) => ({
+  id: attachment.id,
+  certificateId: attachment.certificate_id,
+  filename: attachment.filename,
+  mimetype: attachment.mimetype,
+  size: attachment.size,
+  checksum: attachment.checksum,
+  uploadedBy: attachment.uploaded_by,
+  uploadedByUsername: attachment.uploaded_by_username,
+  createdAt: attachment.created_at,
+  downloadUrl: `/api/eo-certificates/${attachment.certificate_id}/attachments/${attachment.id}/download`
+});
+
+class AttachmentController {
+  // ===========================
+  // Attach one or more PDF documents (Admin only)
+  // multipart/form-data, field "documents"
+  // ===========================
+  static async uploadAttachments(req, res) {
+    try {
+      const files = req.files || [];
+      if (files.length === 0) return res.status(400).json({ message: 'No documents uploaded' });
+
+      const saved = await saveAttachments(parseInt(req.params.id, 10) || 0, files, req.user.id);
+      if (!saved) return res.status(404).json({ message: 'Certificate not found' });
+
+      res.status(201).json({
+        message: `${saved.length} documents attached`,
+        attachments: saved.map(a => formatAttachment({ ...a, uploaded_by_username: req.user.username }))
+      });
+    } catch (error) {
+      if (error instanceof AttachmentError) {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('uploadAttachments error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // List a certificate's documents
+  // ===========================
+  static async listAttachments(req, res) {
+    try {
+      const attachments = await listAttachments(parseInt(req.params.id, 10) || 0);
+      if (!attachments) return res.status(404).json({ message: 'Certificate not found' });
+
+      res.json({ attachments: attachments.map(formatAttachment) });
+    } catch (error) {
+      console.error('listAttachments error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Download one document under its original filename
+  // ===========================
+  static async downloadAttachment(req, res) {
+    try {
+      const attachment = await findAttachment(
+        parseInt(req.params.id, 10) || 0,
+        parseInt(req.params.attachmentId, 10) || 0
+      );
+      if (!attachment) return res.status(404).json({ message: 'Attachment not found' });
+
+      const filePath = attachmentPath(attachment);
+      if (!fs.existsSync(filePath)) {
+        console.error(`downloadAttachment: file missing for attachment ${attachment.id}`);
+        return res.status(404).json({ message: 'Attachment file is missing' });
+      }
+
+      res.set('Content-Type', attachment.mimetype);
+      res.set('X-Checksum-SHA256', attachment.checksum);
+      res.download(filePath, attachment.filename);
+    } catch (error) {
+      console.error('downloadAttachment error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Remove one document and its file (Admin only)
+  // ===========================
+  static async deleteAttachment(req, res) {
+    try {
+      const removed = await deleteAttachment(
+        parseInt(req.params.id, 10) || 0,
+        parseInt(req.params.attachmentId, 10) || 0
+      );
+      if (!removed) return res.status(404).json({ message: 'Attachment not found' });
+
+      res.json({ message: 'Attachment deleted successfully' });
+    } catch (error) {
+      console.error('deleteAttachment error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+}
+
+module.exports = AttachmentController;
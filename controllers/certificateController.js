@@ -1,37 +1,166 @@
 // controllers/certificateController.js - EO Certificate management operations
 const knex = require('../config/database');
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
 const xlsx = require('xlsx');
 
-// Whitelist of sortable/filterable columns (exact DB names)
-const COL = {
-  EO_NUMBER: '"EO Number"',
-  VEHICLE_MAKE: '"Vehicle Make"',
-  VEHICLE_MODEL: '"Vehicle Model"',
-  EVAPORATIVE_FAMILY: '"Evaporative Family"',
-  VEHICLE_CLASS: '"Vehicle Class"',
-  YEAR: '"Year"',
-  MANUFACTURER: '"Manufacturer"',
-  TEST_GROUP: '"Test Group"',
-  ENGINE_SIZE_L: '"Engine Size(L)"',
-  EXHAUST_ECS: '"Exhaust Emission Control System (ECS)"'
+const {
+  COL,
+  CERTIFICATE_COLUMN_NAMES,
+  SELECT_COLUMNS,
+  REQUIRED_COLUMNS,
+  pickCertificateFields,
+  pickProvidedFields,
+  missingRequired,
+  fieldErrors,
+  getColumn
+} = require('../config/certificateColumns');
+const {
+  IMPORT_MODES,
+  KNOWN_HEADERS,
+  ImportFileError,
+  readImportFile,
+  readSingleColumn,
+  findExistingCertificates,
+  planImport,
+  summarizePlan,
+  countReplaced,
+  createBatch
+} = require('../services/certificateImport');
+const { startImportWorker } = require('../services/importWorker');
+const {
+  ENGINE_LITERS,
+  CursorError,
+  StatusFilterError,
+  liveCertificates,
+  parseStatusFilter,
+  applyCertificateFilters,
+  sortExpression,
+  listCertificates,
+  parseColumnList,
+  toPrefixQuery,
+  applyTextSearch,
+  searchSelections,
+  collectHighlights,
+  fetchFacets
+} = require('../services/certificateQuery');
+const {
+  STREAM_FORMATS,
+  csvLine,
+  writeChunk,
+  streamQuery
+} = require('../services/certificateExport');
+const { SUGGEST_FIELDS, suggest, suggestFields, suggestEONumbers } = require('../services/certificateSuggest');
+const { VinError, decodeVin, findVinCandidates } = require('../services/vinDecoder');
+const { diffFields, recordRevision } = require('../services/certificateRevisions');
+const { purgeDate, parseIds, trashedCertificates, trashCertificates } = require('../services/certificateTrash');
+const { effectiveStatus, supersessionDetails } = require('../services/certificateStatus');
+const {
+  OptionsError,
+  parseOptionsRequest,
+  validateSelection,
+  fetchOptions
+} = require('../services/cascadingOptions');
+const {
+  SearchQueryError,
+  parseFilter,
+  parseSort,
+  applySearchFilter,
+  applySort
+} = require('../services/searchFilter');
+
+const REQUIRED_FIELDS_MESSAGE = `Missing required fields: ${REQUIRED_COLUMNS.join(', ')}`;
+
+// Near matches offered when an EO Number lookup misses
+const DID_YOU_MEAN_SIZE = 5;
+
+// Batch EO lookups: request size cap, and header names skipped in uploads
+const MAX_BATCH_LOOKUP = 5000;
+const EO_NUMBER_COLUMN = getColumn('EO Number');
+
+// Candidate certificates returned for a VIN lookup
+const VIN_RESULTS_SIZE = 50;
+const MAX_VIN_RESULTS = 200;
+
+// json keeps the original response for existing clients; xlsx/csv are attachments
+const EXPORT_FORMATS = ['json', 'xlsx', 'csv'];
+
+// Query/form flags arrive as strings ("true", "1", "yes")
+const isTruthy = (value) => ['true', '1', 'yes'].includes(String(value).toLowerCase());
+
+// Clean up an uploaded temp file; a missing file is not an error
+const removeUploadedFile = (file) => {
+  try { fs.unlinkSync(file.path); } catch (_) {}
 };
 
-// For safe sorting: accept only these exact strings from query
-const SORTABLE_COLUMNS = new Set([
-  'EO Number',
-  'Vehicle Make',
-  'Vehicle Model',
-  'Evaporative Family',
-  'Vehicle Class',
-  'Year',
-  'Manufacturer',
-  'Test Group',
-  'Engine Size(L)',
-  'Exhaust Emission Control System (ECS)',
-  'created_at',
-  'updated_at',
-  'id'
-]);
+// Write certificate fields over a live certificate and record the revision.
+// Only fields whose value changes are written. Resolves to
+// { certificate, changes } or null when the certificate is not found.
+async function writeCertificateFields(id, fields, userId) {
+  return knex.transaction(async (trx) => {
+    const before = await liveCertificates(trx)
+      .select(SELECT_COLUMNS)
+      .where('id', id)
+      .forUpdate()
+      .first();
+    if (!before) return null;
+
+    const changes = diffFields(before, { ...before, ...fields });
+    if (Object.keys(changes).length === 0) return { certificate: before, changes };
+
+    const updateData = Object.keys(changes).reduce((acc, name) => {
+      acc[name] = changes[name].to;
+      return acc;
+    }, { updated_at: knex.fn.now() });
+
+    const [after] = await trx('eo_certificates')
+      .where('id', id)
+      .update(updateData)
+      .returning(SELECT_COLUMNS);
+    await recordRevision(trx, { action: 'update', userId, before, after });
+    return { certificate: after, changes };
+  });
+}
+
+// Filtered, sorted export query; without sortBy rows come out by
+// Year desc, Make, Model as the original export did
+function buildExportQuery(params, columns) {
+  const { sortBy, sortOrder = 'desc' } = params;
+
+  let query = applyCertificateFilters(liveCertificates(), params)
+    .select(columns || SELECT_COLUMNS);
+
+  if (sortBy) return query.orderByRaw(sortExpression(sortBy, sortOrder));
+
+  query = query
+    .orderByRaw(`${COL.YEAR} desc`)
+    .orderByRaw(`${COL.VEHICLE_MAKE}`)
+    .orderByRaw(`${COL.VEHICLE_MODEL}`);
+  return query;
+}
+
+// Legacy dropdown chain: every earlier step must be selected. Sends a 400
+// and returns null when a parameter is missing or invalid.
+async function dropdownValues(req, res, next, required) {
+  const missing = required.filter(key => req.query[key] === undefined || req.query[key] === '');
+  if (missing.length) {
+    res.status(400).json({ message: `Missing required parameters: ${missing.join(', ')}` });
+    return null;
+  }
+
+  let selection;
+  try {
+    selection = validateSelection(required.reduce((acc, key) => ({ ...acc, [key]: req.query[key] }), {}));
+  } catch (error) {
+    if (!(error instanceof OptionsError)) throw error;
+    res.status(400).json({ message: error.message });
+    return null;
+  }
+
+  const options = await fetchOptions(next, selection);
+  return options.map(o => o.value);
+}
 
 class CertificateController {
   // ===========================
@@ -40,10 +169,8 @@ class CertificateController {
   // ===========================
   static async getDropdownYears(req, res) {
     try {
-      const years = await knex('eo_certificates')
-        .distinct('Year')
-        .orderBy('Year', 'desc');
-      res.json(years.map(y => y.Year));
+      const years = await fetchOptions('year');
+      res.json(years.map(y => y.value));
     } catch (err) {
       console.error(err);
       res.status(500).json({ message: 'Server error' });
@@ -52,12 +179,8 @@ class CertificateController {
 
   static async getDropdownVehicleMakes(req, res) {
     try {
-      const { year } = req.query;
-      const makes = await knex('eo_certificates')
-        .distinct('Vehicle Make')
-        .where('Year', year)
-        .orderBy('Vehicle Make');
-      res.json(makes.map(m => m['Vehicle Make']));
+      const makes = await dropdownValues(req, res, 'make', ['year']);
+      if (makes) res.json(makes);
     } catch (err) {
       console.error(err);
       res.status(500).json({ message: 'Server error' });
@@ -66,13 +189,8 @@ class CertificateController {
 
   static async getDropdownVehicleModels(req, res) {
     try {
-      const { year, make } = req.query;
-      const models = await knex('eo_certificates')
-        .distinct('Vehicle Model')
-        .where('Year', year)
-        .andWhere('Vehicle Make', make)
-        .orderBy('Vehicle Model');
-      res.json(models.map(m => m['Vehicle Model']));
+      const models = await dropdownValues(req, res, 'model', ['year', 'make']);
+      if (models) res.json(models);
     } catch (err) {
       console.error(err);
       res.status(500).json({ message: 'Server error' });
@@ -81,72 +199,109 @@ class CertificateController {
 
   static async getDropdownEONumbers(req, res) {
     try {
-      const { year, make, model } = req.query;
-      const eos = await knex('eo_certificates')
-        .distinct('EO Number')
-        .where('Year', year)
-        .andWhere('Vehicle Make', make)
-        .andWhere('Vehicle Model', model)
-        .orderBy('EO Number');
-      res.json(eos.map(e => e['EO Number']));
+      const eos = await dropdownValues(req, res, 'eoNumber', ['year', 'make', 'model']);
+      if (eos) res.json(eos);
     } catch (err) {
       console.error(err);
       res.status(500).json({ message: 'Server error' });
-    }       
+    }
   }
+
+  // ===========================
+  // Cascading options: values of `next` for any exact selection of
+  // year, make, model, manufacturer, vehicleClass, testGroup, engineSize
+  // e.g. ?next=model&year=2012&make=Ford
+  // ===========================
+  static async getCascadingOptions(req, res) {
+    try {
+      let request;
+      try {
+        request = parseOptionsRequest(req.query);
+      } catch (error) {
+        if (error instanceof OptionsError) return res.status(400).json({ message: error.message });
+        throw error;
+      }
+
+      const options = await fetchOptions(request.next, request.selection);
+      res.json({ dimension: request.next, selection: request.selection, options });
+    } catch (error) {
+      console.error('getCascadingOptions error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // List certificates with the shared filters (active ones unless status is
+  // given: a comma-separated list or "all"); offset or cursor pagination
+  // ===========================
   static async getCertificates(req, res) {
     try {
-      const {
-        year,
-        make,
-        model,
-        eo_number,
-        page = 1,
-        limit = 20,
-        sortBy = 'Year', // default
-        sortOrder = 'desc'
-      } = req.query;
+      res.json(await listCertificates(req.query));
+    } catch (error) {
+      if (error instanceof CursorError || error instanceof StatusFilterError) {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('Error in getCertificates:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Search: full text (q/search), structured filters and multi-column sort
+  // (POST body or query string). Ranked by relevance unless a sort is given;
+  // full-text rows carry the highlighted fields that matched.
+  // facets=true adds facet counts for the same filters
+  // ===========================
+  static async searchCertificates(req, res) {
+    try {
+      const params = { ...req.query, ...req.body };
+      const { page = 1, limit = 20, sortBy, sortOrder = 'desc' } = params;
+      const text = params.q !== undefined ? params.q : params.search;
 
       const pageNum = Math.max(parseInt(page, 10) || 1, 1);
       const limitNum = Math.max(parseInt(limit, 10) || 20, 1);
 
-      let query = knex('eo_certificates');
-
-      // ---- Filters (use whereRaw for columns with spaces) ----
-      if (year) {
-        const y = parseInt(year, 10);
-        if (!Number.isNaN(y)) query = query.whereRaw(`${COL.YEAR} = ?`, [y]);
+      let filter = null;
+      let sort = null;
+      try {
+        if (params.filters !== undefined) filter = parseFilter(params.filters);
+        if (params.sort !== undefined) sort = parseSort(params.sort);
+      } catch (error) {
+        if (error instanceof SearchQueryError) return res.status(400).json({ message: error.message });
+        throw error;
       }
-      if (make) query = query.whereRaw(`${COL.VEHICLE_MAKE} ILIKE ?`, [`%${make}%`]);
-      if (model) query = query.whereRaw(`${COL.VEHICLE_MODEL} ILIKE ?`, [`%${model}%`]);
-      if (eo_number) query = query.whereRaw(`${COL.EO_NUMBER} ILIKE ?`, [`%${eo_number}%`]);
 
-      // ---- Count for pagination ----
+      const tsquery = toPrefixQuery(text);
+
+      let query = applyCertificateFilters(liveCertificates(), params);
+      if (filter) query = applySearchFilter(query, filter);
+      if (tsquery) query = applyTextSearch(query, tsquery);
+
       const [{ count }] = await query.clone().count('* as count');
       const total = parseInt(count, 10) || 0;
 
-      // ---- Sorting (whitelist to avoid SQL injection) ----
-      const normalizedSort = SORTABLE_COLUMNS.has(sortBy) ? sortBy : 'Year';
-      const direction = (String(sortOrder).toLowerCase() === 'asc') ? 'asc' : 'desc';
+      const facets = isTruthy(params.facets) ? (await fetchFacets(query.clone())).facets : null;
+
+      query = query.select(SELECT_COLUMNS);
+      if (tsquery) query = query.select(searchSelections(tsquery));
 
-      // Build orderByRaw safely
-      let orderExpr;
-      // sort by DB columns with spaces -> quote; simple snake columns -> plain
-      if (normalizedSort === 'created_at' || normalizedSort === 'updated_at' || normalizedSort === 'id') {
-        orderExpr = `${normalizedSort} ${direction}`;
+      if (sort) {
+        query = applySort(query, sort);
+      } else if (sortBy || !tsquery) {
+        query = query.orderByRaw(sortExpression(sortBy, sortOrder));
       } else {
-        orderExpr = `"${normalizedSort}" ${direction}`;
+        query = query.orderBy('rank', 'desc');
       }
 
-      // ---- Fetch paginated rows ----
       const rows = await query
-        .select('*') // returns exact DB column names
-        .orderByRaw(orderExpr)
+        .orderBy('id')
         .limit(limitNum)
         .offset((pageNum - 1) * limitNum);
 
       res.json({
-        certificates: rows,
+        certificates: tsquery ? rows.map(collectHighlights) : rows,
+        query: tsquery ? String(text).trim() : '',
+        ...(facets ? { facets } : {}),
         pagination: {
           totalRecords: total,
           totalPages: Math.ceil(total / limitNum),
@@ -157,7 +312,8 @@ class CertificateController {
         }
       });
     } catch (error) {
-      console.error('Error in getCertificates:', error);
+      if (error instanceof StatusFilterError) return res.status(400).json({ message: error.message });
+      console.error('Error in searchCertificates:', error);
       res.status(500).json({ message: 'Server error', error: error.message });
     }
   }
@@ -168,8 +324,8 @@ class CertificateController {
   // ===========================
   static async getCertificate(req, res) {
     try {
-      const certificate = await knex('eo_certificates')
-        .select('*')
+      const certificate = await liveCertificates()
+        .select(SELECT_COLUMNS)
         .where('id', req.params.id)
         .first();
 
@@ -187,31 +343,29 @@ class CertificateController {
   // Create new certificate (Admin only)
   // Expecting body fields that map to your exact DB columns
   // e.g., req.body["EO Number"], req.body["Vehicle Make"], etc.
+  // Validated like PUT, so anything created can be saved back unchanged
   // ===========================
   static async createCertificate(req, res) {
     try {
-      // Build insert data with exact DB keys (JS object keys with spaces are fine if quoted)
+      const errors = fieldErrors(req.body);
+      if (errors.length > 0) return res.status(400).json({ message: 'Invalid certificate fields', errors });
+
+      // Build insert data with exact DB keys (see config/certificateColumns.js)
       const data = {
-        [ 'EO Number' ]: req.body['EO Number'],
-        [ 'Vehicle Make' ]: req.body['Vehicle Make'],
-        [ 'Vehicle Model' ]: req.body['Vehicle Model'],
-        [ 'Evaporative Family' ]: req.body['Evaporative Family'],
-        [ 'Vehicle Class' ]: req.body['Vehicle Class'],
-        [ 'Year' ]: req.body['Year'] != null ? parseInt(req.body['Year'], 10) : null,
-        [ 'Manufacturer' ]: req.body['Manufacturer'],
-        [ 'Test Group' ]: req.body['Test Group'],
-        [ 'Engine Size(L)' ]: req.body['Engine Size(L)'],
-        [ 'Exhaust Emission Control System (ECS)' ]: req.body['Exhaust Emission Control System (ECS)'],
+        ...pickCertificateFields(req.body),
         created_at: knex.fn.now(),
         updated_at: knex.fn.now()
       };
 
-      // Minimal validation
-      if (!data['EO Number'] || !data['Year'] || !data['Vehicle Make'] || !data['Vehicle Model']) {
-        return res.status(400).json({ message: 'Missing required fields: EO Number, Year, Vehicle Make, Vehicle Model' });
+      if (missingRequired(data).length > 0) {
+        return res.status(400).json({ message: REQUIRED_FIELDS_MESSAGE });
       }
 
-      const [inserted] = await knex('eo_certificates').insert(data).returning('*');
+      const inserted = await knex.transaction(async (trx) => {
+        const [row] = await trx('eo_certificates').insert(data).returning(SELECT_COLUMNS);
+        await recordRevision(trx, { action: 'create', userId: req.user.id, after: row });
+        return row;
+      });
       res.status(201).json({ message: 'Certificate created successfully', certificate: inserted });
     } catch (error) {
       if (error.code === '23505') {
@@ -223,49 +377,75 @@ class CertificateController {
   }
 
   // ===========================
-  // Update certificate by id (Admin only)
-  // Expect body keys with exact DB names
+  // Replace certificate by id (Admin only)
+  // The body is the whole certificate: omitted optional fields are cleared
+  // and every required field must be present. Use PATCH for partial updates.
   // ===========================
   static async updateCertificate(req, res) {
     try {
-      const updateData = {
-        [ 'EO Number' ]: req.body['EO Number'],
-        [ 'Vehicle Make' ]: req.body['Vehicle Make'],
-        [ 'Vehicle Model' ]: req.body['Vehicle Model'],
-        [ 'Evaporative Family' ]: req.body['Evaporative Family'],
-        [ 'Vehicle Class' ]: req.body['Vehicle Class'],
-        [ 'Year' ]: req.body['Year'] != null ? parseInt(req.body['Year'], 10) : null,
-        [ 'Manufacturer' ]: req.body['Manufacturer'],
-        [ 'Test Group' ]: req.body['Test Group'],
-        [ 'Engine Size(L)' ]: req.body['Engine Size(L)'],
-        [ 'Exhaust Emission Control System (ECS)' ]: req.body['Exhaust Emission Control System (ECS)'],
-        updated_at: knex.fn.now()
-      };
+      const errors = fieldErrors(req.body);
+      if (errors.length > 0) return res.status(400).json({ message: 'Invalid certificate fields', errors });
 
-      const [updated] = await knex('eo_certificates')
-        .where('id', req.params.id)
-        .update(updateData)
-        .returning('*');
+      const data = pickCertificateFields(req.body);
+      if (missingRequired(data).length > 0) {
+        return res.status(400).json({ message: REQUIRED_FIELDS_MESSAGE });
+      }
 
-      if (!updated) return res.status(404).json({ message: 'Certificate not found' });
-      res.json({ message: 'Certificate updated successfully', certificate: updated });
+      const result = await writeCertificateFields(req.params.id, data, req.user.id);
+      if (!result) return res.status(404).json({ message: 'Certificate not found' });
+      res.json({ message: 'Certificate updated successfully', certificate: result.certificate, changes: result.changes });
     } catch (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ message: 'Duplicate entry (unique constraint violated)', detail: error.detail });
+      }
       console.error('updateCertificate error:', error);
       res.status(500).json({ message: 'Server error', error: error.message });
     }
   }
 
+  // ===========================
+  // Partially update certificate by id (Admin only)
+  // Only the fields in the body are validated and written; the response
+  // lists each changed field as { from, to }
+  // ===========================
+  static async patchCertificate(req, res) {
+    try {
+      const errors = fieldErrors(req.body);
+      if (errors.length > 0) return res.status(400).json({ message: 'Invalid certificate fields', errors });
+
+      const fields = pickProvidedFields(req.body);
+      if (Object.keys(fields).length === 0) {
+        return res.status(400).json({ message: 'No certificate fields to update' });
+      }
+
+      const result = await writeCertificateFields(req.params.id, fields, req.user.id);
+      if (!result) return res.status(404).json({ message: 'Certificate not found' });
+
+      const changed = Object.keys(result.changes).length;
+      res.json({
+        message: changed > 0 ? `${changed} fields updated` : 'No changes',
+        changes: result.changes,
+        certificate: result.certificate
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ message: 'Duplicate entry (unique constraint violated)', detail: error.detail });
+      }
+      console.error('patchCertificate error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
   // ===========================
   // Delete certificate by id (Admin only)
+  // Moves it to the trash; see TrashController for restore and purge
   // ===========================
   static async deleteCertificate(req, res) {
     try {
-      const deletedCount = await knex('eo_certificates')
-        .where('id', req.params.id)
-        .del();
+      const [deleted] = await trashCertificates([parseInt(req.params.id, 10) || 0], req.user.id);
 
-      if (deletedCount === 0) return res.status(404).json({ message: 'Certificate not found' });
-      res.json({ message: 'Certificate deleted successfully' });
+      if (!deleted) return res.status(404).json({ message: 'Certificate not found' });
+      res.json({ message: 'Certificate moved to trash', purgeAt: purgeDate(deleted.deleted_at) });
     } catch (error) {
       console.error('deleteCertificate error:', error);
       res.status(500).json({ message: 'Server error', error: error.message });
@@ -273,69 +453,107 @@ class CertificateController {
   }
 
   // ===========================
-  // Upload Excel file (Admin only)
-  // Accepts many possible header variants, maps into exact DB columns
+  // Upload Excel / CSV / TSV file (Admin only)
+  // Pass dryRun=true to get a per-row preview without writing anything.
+  // mode: insert (default) | upsert | replace-year (requires year)
+  // strict=true rolls back the whole import if any row fails
+  // profileId picks a saved header mapping profile (see ImportController)
+  // sheets: comma-separated sheet names or "all" (default: first sheet)
+  // headerRow: 1-based header row; detected automatically when omitted
+  // Anything but a preview is queued for the import worker: the response is a
+  // 202 with the batch id to poll (imports run longer than proxies wait)
+  // Accepts many possible header variants (aliases in config/certificateColumns.js)
   // ===========================
   static async uploadExcel(req, res) {
     try {
       if (!req.file) return res.status(400).json({ message: 'No file uploaded' });
 
-      const workbook = xlsx.readFile(req.file.path);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      const jsonData = xlsx.utils.sheet_to_json(worksheet);
-
-      let successCount = 0;
-      let errorCount = 0;
-      const errors = [];
-
-      await knex.transaction(async (trx) => {
-        for (const [index, row] of jsonData.entries()) {
-          try {
-            const record = {
-              [ 'EO Number' ]: row['EO Number'] || row['EO_number'] || row['EO no'] || row['EO'] || row.EO || row.EO_Number || row.EO_number,
-              [ 'Vehicle Make' ]: row['Vehicle Make'] || row['Make'] || row.make || row.Make,
-              [ 'Vehicle Model' ]: row['Vehicle Model'] || row['Model'] || row.model || row.Model,
-              [ 'Evaporative Family' ]: row['Evaporative Family'] || row.evaporative_family || row['evaporative family'],
-              [ 'Vehicle Class' ]: row['Vehicle Class'] || row.vehicle_class || row['Vehicle class'] || row['Class'],
-              [ 'Year' ]: parseInt(row['Year'] ?? row.year ?? row.YEAR, 10),
-              [ 'Manufacturer' ]: row['Manufacturer'] || row.manufacturer || row.MANUFACTURER,
-              [ 'Test Group' ]: row['Test Group'] || row.test_group || row['test group'] || row.testgroup,
-              [ 'Engine Size(L)' ]: row['Engine Size(L)'] || row['Engine Size'] || row.engine_size || row['engine size'] || row.enginesize,
-              [ 'Exhaust Emission Control System (ECS)' ]:
-                row['Exhaust Emission Control System (ECS)'] ||
-                row['Exhaust ECS'] ||
-                row['Exhaust ECS Special Features'] ||
-                row.exhaust_ecs ||
-                row.exhaustecsspecialfeatures,
-              created_at: knex.fn.now(),
-              updated_at: knex.fn.now()
-            };
-
-            if (!record['EO Number'] || !record['Year'] || !record['Vehicle Make'] || !record['Vehicle Model']) {
-              throw new Error('Missing required fields: EO Number, Year, Vehicle Make, Vehicle Model');
-            }
-
-            await trx('eo_certificates').insert(record);
-            successCount++;
-          } catch (err) {
-            errorCount++;
-            errors.push({ row: index + 1, error: err.message });
-          }
+      const params = { ...req.query, ...req.body };
+      const mode = params.mode || 'insert';
+      if (!IMPORT_MODES.includes(mode)) {
+        removeUploadedFile(req.file);
+        return res.status(400).json({ message: `Invalid mode. Use one of: ${IMPORT_MODES.join(', ')}` });
+      }
+
+      const year = params.year != null ? parseInt(params.year, 10) : null;
+      if (mode === 'replace-year' && (year === null || Number.isNaN(year))) {
+        removeUploadedFile(req.file);
+        return res.status(400).json({ message: 'year is required for replace-year mode' });
+      }
+
+      let profile = null;
+      if (params.profileId) {
+        profile = await knex('import_mapping_profiles').where('id', parseInt(params.profileId, 10) || 0).first();
+        if (!profile) {
+          removeUploadedFile(req.file);
+          return res.status(400).json({ message: 'Mapping profile not found' });
         }
-      });
+      }
+
+      const strict = isTruthy(params.strict);
 
-      // Clean up uploaded file
-      const fs = require('fs');
-      try { fs.unlinkSync(req.file.path); } catch (_) {}
+      if (!isTruthy(params.dryRun)) {
+        // Queue the upload for the import worker and return at once
+        const batch = await createBatch({
+          userId: req.user?.id,
+          filename: req.file.originalname,
+          mode,
+          strict,
+          status: 'queued',
+          filePath: req.file.path,
+          options: {
+            year,
+            profileId: profile ? profile.id : null,
+            sheets: params.sheets || null,
+            headerRow: params.headerRow || null
+          }
+        });
+        startImportWorker();
+
+        return res.status(202).json({
+          message: 'Import queued',
+          batchId: batch.id,
+          status: batch.status,
+          statusUrl: `/api/admin/import-batches/${batch.id}`,
+          reportUrl: `/api/admin/import-batches/${batch.id}/report`
+        });
+      }
+
+      // Preview: report what would happen per row, write nothing
+      const options = { mode, year, strict, profile, userId: req.user?.id };
+
+      let file;
+      try {
+        file = readImportFile(req.file.path, {
+          originalName: req.file.originalname,
+          sheets: params.sheets,
+          headerRow: params.headerRow,
+          knownHeaders: profile ? KNOWN_HEADERS.concat(profile.mappings.map(m => m.source)) : KNOWN_HEADERS
+        });
+      } catch (err) {
+        removeUploadedFile(req.file);
+        if (err instanceof ImportFileError) return res.status(400).json({ message: err.message });
+        throw err;
+      }
+      const { rows } = file;
+
+      const plan = await planImport(rows, options);
+      const replaced = await countReplaced(options);
+      removeUploadedFile(req.file);
 
       res.json({
-        message: `Upload completed. ${successCount} certificates added, ${errorCount} errors.`,
-        successCount,
-        errorCount,
-        errors: errors.slice(0, 10)
+        message: 'Preview only. No changes were saved.',
+        dryRun: true,
+        mode,
+        profileId: profile ? profile.id : null,
+        availableSheets: file.availableSheets,
+        sheets: file.sheets,
+        totalRows: rows.length,
+        summary: { ...summarizePlan(plan), delete: replaced },
+        rows: plan
       });
     } catch (error) {
+      if (req.file) removeUploadedFile(req.file);
       console.error('uploadExcel error:', error);
       res.status(500).json({ message: 'Server error', error: error.message });
     }
@@ -347,13 +565,18 @@ class CertificateController {
   // ===========================
   static async getFilterOptions(req, res) {
     try {
-      const years = await knex('eo_certificates').distinct(knex.raw(`${COL.YEAR} as year`)).orderByRaw(`${COL.YEAR} desc`);
-      const makes = await knex('eo_certificates').distinct(knex.raw(`${COL.VEHICLE_MAKE} as make`)).orderByRaw(`${COL.VEHICLE_MAKE}`);
-      const models = await knex('eo_certificates').distinct(knex.raw(`${COL.VEHICLE_MODEL} as model`)).orderByRaw(`${COL.VEHICLE_MODEL}`);
-      const manufacturers = await knex('eo_certificates').distinct(knex.raw(`${COL.MANUFACTURER} as manufacturer`)).orderByRaw(`${COL.MANUFACTURER}`);
-      const testGroups = await knex('eo_certificates').distinct(knex.raw(`${COL.TEST_GROUP} as test_group`)).orderByRaw(`${COL.TEST_GROUP}`);
-      const engineSizes = await knex('eo_certificates').distinct(knex.raw(`${COL.ENGINE_SIZE_L} as engine_size`)).orderBy('engine_size'); // alias sort ok
-      const evaporativeFamilies = await knex('eo_certificates').distinct(knex.raw(`${COL.EVAPORATIVE_FAMILY} as evaporative_family`)).orderBy('evaporative_family');
+      const years = await liveCertificates().distinct(knex.raw(`${COL.YEAR} as year`)).orderByRaw(`${COL.YEAR} desc`);
+      const makes = await liveCertificates().distinct(knex.raw(`${COL.VEHICLE_MAKE} as make`)).orderByRaw(`${COL.VEHICLE_MAKE}`);
+      const models = await liveCertificates().distinct(knex.raw(`${COL.VEHICLE_MODEL} as model`)).orderByRaw(`${COL.VEHICLE_MODEL}`);
+      const manufacturers = await liveCertificates().distinct(knex.raw(`${COL.MANUFACTURER} as manufacturer`)).orderByRaw(`${COL.MANUFACTURER}`);
+      const testGroups = await liveCertificates().distinct(knex.raw(`${COL.TEST_GROUP} as test_group`)).orderByRaw(`${COL.TEST_GROUP}`);
+      // Sorted by parsed litres so "10.0L" follows "9.5L"; unparseable values go last
+      const engineSizes = await liveCertificates()
+        .select(knex.raw(`${COL.ENGINE_SIZE_L} as engine_size`))
+        .groupByRaw(COL.ENGINE_SIZE_L)
+        .orderByRaw(`min(${ENGINE_LITERS}) asc nulls last`)
+        .orderBy('engine_size');
+      const evaporativeFamilies = await liveCertificates().distinct(knex.raw(`${COL.EVAPORATIVE_FAMILY} as evaporative_family`)).orderBy('evaporative_family');
 
       res.json({
         years: years.map(r => r.year).filter(Boolean),
@@ -370,52 +593,152 @@ class CertificateController {
     }
   }
 
+  // ===========================
+  // Facet counts (year, make, model, ...) for the current filters
+  // (same query params as getCertificates, plus q for full text)
+  // ===========================
+  static async getFacets(req, res) {
+    try {
+      let query = applyCertificateFilters(liveCertificates(), req.query);
+      const tsquery = toPrefixQuery(req.query.q);
+      if (tsquery) query = applyTextSearch(query, tsquery);
+
+      const { total, facets } = await fetchFacets(query);
+      res.json({ totalRecords: total, facets });
+    } catch (error) {
+      if (error instanceof StatusFilterError) return res.status(400).json({ message: error.message });
+      console.error('getFacets error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
   // ===========================
   // Export certificates (keeps exact DB column names)
   // ===========================
   static async exportCertificates(req, res) {
     try {
-      // optional filter
-      const { year } = req.query;
-      let query = knex('eo_certificates').select('*');
+      const { format = 'json' } = req.query;
 
-      if (year) {
-        const y = parseInt(year, 10);
-        if (!Number.isNaN(y)) query = query.whereRaw(`${COL.YEAR} = ?`, [y]);
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
       }
 
-      const certificates = await query
-        .orderByRaw(`${COL.YEAR} desc`)
-        .orderByRaw(`${COL.VEHICLE_MAKE}`)
-        .orderByRaw(`${COL.VEHICLE_MODEL}`);
+      const { columns, unknown } = parseColumnList(req.query.columns);
+      if (unknown.length) {
+        return res.status(400).json({ message: `Unknown columns: ${unknown.join(', ')}` });
+      }
 
-      // Return as-is (exact DB column names)
-      res.json({
-        message: 'Export data prepared',
-        data: certificates,
-        count: certificates.length
-      });
+      // Spreadsheets default to the certificate fields, in import order
+      const selected = columns || (format === 'json' ? null : CERTIFICATE_COLUMN_NAMES);
+
+      const certificates = await buildExportQuery(req.query, selected);
+
+      if (format === 'json') {
+        // Return as-is (exact DB column names)
+        return res.json({
+          message: 'Export data prepared',
+          data: certificates,
+          count: certificates.length
+        });
+      }
+
+      const sheet = xlsx.utils.json_to_sheet(certificates, { header: selected });
+      const filename = `eo-certificates-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+      let body;
+      if (format === 'csv') {
+        body = xlsx.utils.sheet_to_csv(sheet);
+      } else {
+        const workbook = xlsx.utils.book_new();
+        xlsx.utils.book_append_sheet(workbook, sheet, 'EO Certificates');
+        body = xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+      }
+
+      res.attachment(filename);
+      res.send(body);
     } catch (error) {
+      if (error instanceof StatusFilterError) return res.status(400).json({ message: error.message });
       console.error('exportCertificates error:', error);
       res.status(500).json({ message: 'Server error', error: error.message });
     }
   }
 
   // ===========================
-  // Bulk delete by ids
+  // Stream the export as CSV or NDJSON from a DB cursor
+  // (optional gzip; stops reading when the client disconnects)
+  // ===========================
+  static async streamExportCertificates(req, res) {
+    const { format = 'csv' } = req.query;
+    const gzip = isTruthy(req.query.gzip);
+
+    const spec = STREAM_FORMATS[format];
+    if (!spec) {
+      return res.status(400).json({ message: `format must be one of: ${Object.keys(STREAM_FORMATS).join(', ')}` });
+    }
+
+    const { columns, unknown } = parseColumnList(req.query.columns);
+    if (unknown.length) {
+      return res.status(400).json({ message: `Unknown columns: ${unknown.join(', ')}` });
+    }
+
+    const selected = columns || (format === 'csv' ? CERTIFICATE_COLUMN_NAMES : null);
+
+    let cancelled = false;
+    res.on('close', () => {
+      if (!res.writableFinished) cancelled = true;
+    });
+
+    // The response is only started once the first batch is in, so query
+    // errors can still be reported as JSON
+    let out = null;
+    const open = async () => {
+      const filename = `eo-certificates-${new Date().toISOString().slice(0, 10)}.${spec.extension}`;
+      if (gzip) {
+        res.attachment(`${filename}.gz`);
+        out = zlib.createGzip();
+        pipeline(out, res, () => {});
+      } else {
+        res.attachment(filename);
+        res.type(spec.contentType);
+        out = res;
+      }
+      if (format === 'csv') await writeChunk(out, csvLine(selected));
+    };
+
+    const serialize = format === 'csv'
+      ? (rows) => rows.map(row => csvLine(selected.map(c => row[c]))).join('')
+      : (rows) => rows.map(row => `${JSON.stringify(row)}\n`).join('');
+
+    try {
+      await streamQuery(buildExportQuery(req.query, selected), async (rows) => {
+        if (!out) await open();
+        if (!(await writeChunk(out, serialize(rows)))) cancelled = true;
+      }, { isCancelled: () => cancelled });
+
+      if (cancelled) return;
+      if (!out) await open();
+      out.end();
+    } catch (error) {
+      if (!out && error instanceof StatusFilterError) return res.status(400).json({ message: error.message });
+      console.error('streamExportCertificates error:', error);
+      if (!out) return res.status(500).json({ message: 'Server error', error: error.message });
+      // Mid-stream failure: cut the response so the client sees it as incomplete
+      out.destroy(error);
+    }
+  }
+
+  // ===========================
+  // Bulk delete by ids (moves them to the trash)
   // ===========================
   static async bulkDeleteCertificates(req, res) {
     try {
-      const { certificateIds } = req.body;
-      if (!Array.isArray(certificateIds) || certificateIds.length === 0) {
-        return res.status(400).json({ message: 'certificateIds must be a non-empty array' });
-      }
+      const ids = parseIds(req.body.certificateIds);
+      if (!ids) return res.status(400).json({ message: 'certificateIds must be a non-empty array of ids' });
 
-      const deletedCount = await knex('eo_certificates')
-        .whereIn('id', certificateIds)
-        .del();
+      const deleted = await trashCertificates(ids, req.user.id);
+      const deletedCount = deleted.length;
 
-      res.json({ message: `${deletedCount} certificates deleted`, deletedCount });
+      res.json({ message: `${deletedCount} certificates moved to trash`, deletedCount });
     } catch (error) {
       console.error('bulkDeleteCertificates error:', error);
       res.status(500).json({ message: 'Server error', error: error.message });
@@ -430,15 +753,15 @@ class CertificateController {
     try {
       const isAdmin = req.user?.role === 'admin';
 
-      const totalCertificates = await knex('eo_certificates').count('* as count').first();
+      const totalCertificates = await liveCertificates().count('* as count').first();
 
-      const certificatesByYear = await knex('eo_certificates')
+      const certificatesByYear = await liveCertificates()
         .select(knex.raw(`${COL.YEAR} as year`))
         .count('* as count')
         .groupByRaw(`${COL.YEAR}`)
         .orderBy('year', 'desc');
 
-      const topManufacturers = await knex('eo_certificates')
+      const topManufacturers = await liveCertificates()
         .select(knex.raw(`${COL.MANUFACTURER} as manufacturer`))
         .count('* as count')
         .whereRaw(`${COL.MANUFACTURER} IS NOT NULL`)
@@ -446,7 +769,7 @@ class CertificateController {
         .orderBy('count', 'desc')
         .limit(10);
 
-      const topMakes = await knex('eo_certificates')
+      const topMakes = await liveCertificates()
         .select(knex.raw(`${COL.VEHICLE_MAKE} as make`))
         .count('* as count')
         .groupByRaw(`${COL.VEHICLE_MAKE}`)
@@ -466,6 +789,9 @@ class CertificateController {
         stats.pendingUsers = parseInt(pendingUsers?.count || 0, 10);
         stats.approvedUsers = parseInt(approvedUsers?.count || 0, 10);
 
+        const trashed = await trashedCertificates().count('* as count').first();
+        stats.trashedCertificates = parseInt(trashed?.count || 0, 10);
+
         const recentUsers = await knex('users')
           .select('id', 'username', 'email', 'status', 'created_at')
           .orderBy('created_at', 'desc')
@@ -488,21 +814,223 @@ class CertificateController {
     }
   }
 
+  // ===========================
+  // Typo-tolerant autocomplete for EO numbers, makes and models
+  // (field=eoNumber|make|model, or all three; year/make narrow the results)
+  // ===========================
+  static async autocomplete(req, res) {
+    try {
+      const { q, field, limit } = req.query;
+
+      if (field !== undefined && !SUGGEST_FIELDS[field]) {
+        return res.status(400).json({ message: `field must be one of: ${Object.keys(SUGGEST_FIELDS).join(', ')}` });
+      }
+      if (!q || !String(q).trim()) {
+        return res.status(400).json({ message: 'q is required' });
+      }
+
+      const filters = { year: req.query.year, make: req.query.make };
+
+      if (field) {
+        const suggestions = await suggest(field, q, { limit, filters });
+        return res.json({ query: q, field, suggestions });
+      }
+
+      const suggestions = await suggestFields(Object.keys(SUGGEST_FIELDS), q, { limit, filters });
+      res.json({ query: q, suggestions });
+    } catch (error) {
+      console.error('autocomplete error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Batch lookup of many EO numbers (JSON eoNumbers array or a one-column
+  // sheet upload). format=xlsx downloads Found / Not Found sheets
+  // status filters found matches and suggestions alike (active by default);
+  // an EO outside it is not found, with its effective status given
+  // ===========================
+  static async batchLookup(req, res) {
+    try {
+      const params = { ...req.query, ...req.body };
+      const format = params.format || 'json';
+
+      if (!['json', 'xlsx'].includes(format)) {
+        if (req.file) removeUploadedFile(req.file);
+        return res.status(400).json({ message: 'format must be one of: json, xlsx' });
+      }
+
+      let statuses;
+      try {
+        statuses = parseStatusFilter(params.status);
+      } catch (err) {
+        if (req.file) removeUploadedFile(req.file);
+        if (err instanceof StatusFilterError) return res.status(400).json({ message: err.message });
+        throw err;
+      }
+
+      let input;
+      if (req.file) {
+        try {
+          input = readSingleColumn(req.file.path, {
+            originalName: req.file.originalname,
+            headerNames: [EO_NUMBER_COLUMN.name, ...EO_NUMBER_COLUMN.aliases]
+          });
+        } catch (err) {
+          if (err instanceof ImportFileError) return res.status(400).json({ message: err.message });
+          throw err;
+        } finally {
+          removeUploadedFile(req.file);
+        }
+      } else if (Array.isArray(params.eoNumbers)) {
+        input = params.eoNumbers;
+      } else {
+        return res.status(400).json({ message: 'Provide an eoNumbers array or upload a one-column sheet' });
+      }
+
+      // Trimmed, without blanks or repeats, in request order
+      const eoNumbers = [...new Set(input.map(v => (v == null ? '' : String(v).trim())).filter(Boolean))];
+
+      if (eoNumbers.length === 0) {
+        return res.status(400).json({ message: 'No EO numbers to look up' });
+      }
+      if (eoNumbers.length > MAX_BATCH_LOOKUP) {
+        return res.status(400).json({ message: `At most ${MAX_BATCH_LOOKUP} EO numbers can be looked up at once` });
+      }
+
+      const existing = await findExistingCertificates(eoNumbers);
+      const statusOf = new Map([...existing].map(([eo, c]) => [eo, effectiveStatus(c)]));
+      const listed = (eo) => existing.has(eo) && (!statuses || statuses.includes(statusOf.get(eo)));
+
+      const found = eoNumbers.filter(listed).map(eo => ({ ...existing.get(eo), status: statusOf.get(eo) }));
+      const missing = eoNumbers.filter(eo => !listed(eo));
+
+      const suggestions = await suggestEONumbers(missing, DID_YOU_MEAN_SIZE, { status: params.status });
+      const notFound = missing.map(eo => ({
+        eoNumber: eo,
+        ...(existing.has(eo) ? { status: statusOf.get(eo) } : {}),
+        didYouMean: suggestions.get(eo) || []
+      }));
+
+      if (format === 'xlsx') {
+        const workbook = xlsx.utils.book_new();
+        xlsx.utils.book_append_sheet(
+          workbook,
+          xlsx.utils.json_to_sheet(found, { header: CERTIFICATE_COLUMN_NAMES }),
+          'Found'
+        );
+        xlsx.utils.book_append_sheet(
+          workbook,
+          xlsx.utils.json_to_sheet(
+            notFound.map(n => ({ 'EO Number': n.eoNumber, Status: n.status || '', 'Did You Mean': n.didYouMean.join(', ') })),
+            { header: ['EO Number', 'Status', 'Did You Mean'] }
+          ),
+          'Not Found'
+        );
+
+        res.attachment(`eo-batch-lookup-${new Date().toISOString().slice(0, 10)}.xlsx`);
+        return res.send(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+      }
+
+      res.json({
+        requested: eoNumbers.length,
+        foundCount: found.length,
+        notFoundCount: notFound.length,
+        found,
+        notFound
+      });
+    } catch (error) {
+      console.error('batchLookup error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Decode a VIN offline and list candidate certificates, best match first
+  // (ignoreCheckDigit=true accepts VINs that fail the check digit)
+  // ===========================
+  static async lookupByVin(req, res) {
+    try {
+      let decoded;
+      try {
+        decoded = decodeVin(req.params.vin);
+      } catch (error) {
+        if (error instanceof VinError) return res.status(400).json({ message: error.message });
+        throw error;
+      }
+
+      if (!decoded.checkDigit.valid && !isTruthy(req.query.ignoreCheckDigit)) {
+        return res.status(400).json({
+          message: `VIN check digit is ${decoded.checkDigit.actual}, expected ${decoded.checkDigit.expected}. Please re-check the VIN.`,
+          decoded
+        });
+      }
+
+      if (decoded.makes.length === 0) {
+        return res.json({
+          message: `Manufacturer code ${decoded.wmi} is not recognised`,
+          decoded,
+          certificates: [],
+          count: 0
+        });
+      }
+      if (!decoded.modelYear) {
+        return res.json({
+          message: `Model year code ${decoded.vin[9]} (position 10) is not recognised`,
+          decoded,
+          certificates: [],
+          count: 0
+        });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || VIN_RESULTS_SIZE, 1), MAX_VIN_RESULTS);
+      const certificates = await findVinCandidates(decoded, limit);
+
+      res.json({ decoded, certificates, count: certificates.length });
+    } catch (error) {
+      console.error('lookupByVin error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
   // ===========================
   // Search certificate by exact EO Number
+  // Active EOs only unless status asks for others (a comma-separated list or
+  // "all"): a superseded, revoked or expired EO outside the filter answers
+  // 410 with its effective status and supersession details.
   // ===========================
   static async searchByEONumber(req, res) {
     try {
       const { eo_number } = req.params;
+      const statuses = parseStatusFilter(req.query.status);
 
-      const certificate = await knex('eo_certificates')
-        .select('*')
+      const certificate = await liveCertificates()
+        .select(SELECT_COLUMNS)
         .whereRaw(`${COL.EO_NUMBER} = ?`, [eo_number])
         .first();
 
-      if (!certificate) return res.status(404).json({ message: 'Certificate not found' });
-      res.json(certificate);
+      if (!certificate) {
+        const suggestions = await suggest('eoNumber', eo_number, { limit: DID_YOU_MEAN_SIZE });
+        return res.status(404).json({
+          message: 'Certificate not found',
+          didYouMean: suggestions.map(s => s.value)
+        });
+      }
+
+      const status = effectiveStatus(certificate);
+      if (status === 'active') return res.json(certificate);
+
+      const supersession = await supersessionDetails(certificate);
+      if (statuses && !statuses.includes(status)) {
+        return res.status(410).json({
+          message: `EO Number ${eo_number} is ${status}`,
+          certificate: { ...certificate, status },
+          supersession
+        });
+      }
+      res.json({ ...certificate, status, supersession });
     } catch (error) {
+      if (error instanceof StatusFilterError) return res.status(400).json({ message: error.message });
       console.error('searchByEONumber error:', error);
       res.status(500).json({ message: 'Server error', error: error.message });
     }
@@ -513,7 +1041,7 @@ class CertificateController {
   // ===========================
   static async getCertificateAnalytics(req, res) {
     try {
-      const manufacturerYearStats = await knex('eo_certificates')
+      const manufacturerYearStats = await liveCertificates()
         .select(
           knex.raw(`${COL.MANUFACTURER} as manufacturer`),
           knex.raw(`${COL.YEAR} as year`)
@@ -524,14 +1052,14 @@ class CertificateController {
         .orderBy('manufacturer')
         .orderBy('year', 'desc');
 
-      const engineSizeStats = await knex('eo_certificates')
+      const engineSizeStats = await liveCertificates()
         .select(knex.raw(`${COL.ENGINE_SIZE_L} as engine_size`))
         .count('* as count')
         .whereRaw(`${COL.ENGINE_SIZE_L} IS NOT NULL`)
         .groupByRaw(`${COL.ENGINE_SIZE_L}`)
         .orderBy('count', 'desc');
 
-      const testGroupStats = await knex('eo_certificates')
+      const testGroupStats = await liveCertificates()
         .select(knex.raw(`${COL.TEST_GROUP} as test_group`))
         .count('* as count')
         .whereRaw(`${COL.TEST_GROUP} IS NOT NULL`)
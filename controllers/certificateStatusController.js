@@ -0,0 +1,63 @@
+// controllers/certificateStatusController.js - EO status transitions and their log (Admin only)
+const knex = require('../config/database');
+const {
+  StatusChangeError,
+  parseStatusChange,
+  changeStatus
+} = require('../services/certificateStatus');
+
+class CertificateStatusController {
+  // ===========================
+  // Change a certificate's status
+  // Body: { status, reason, supersededBy, effectiveDate, expiryDate }
+  // supersededBy is the replacing (active) EO Number: required for
+  // superseded, optional for revoked
+  // ===========================
+  static async changeStatus(req, res) {
+    try {
+      let change;
+      try {
+        change = parseStatusChange(req.body);
+      } catch (error) {
+        if (error instanceof StatusChangeError) return res.status(400).json({ message: error.message });
+        throw error;
+      }
+
+      const outcome = await changeStatus(parseInt(req.params.id, 10) || 0, change, req.user.id);
+      if (!outcome) return res.status(404).json({ message: 'Certificate not found' });
+
+      res.json({
+        message: `Certificate is now ${outcome.certificate.status}`,
+        certificate: outcome.certificate,
+        change: outcome.change
+      });
+    } catch (error) {
+      if (error instanceof StatusChangeError) {
+        return res.status(409).json({ message: error.message });
+      }
+      console.error('changeStatus error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Status changes of one certificate, newest first
+  // ===========================
+  static async getStatusHistory(req, res) {
+    try {
+      const changes = await knex('certificate_status_changes as c')
+        .leftJoin('users as u', 'u.id', 'c.user_id')
+        .leftJoin('eo_certificates as e', 'e.id', 'c.superseded_by')
+        .select('c.*', 'u.username', 'e.EO Number as superseded_by_eo_number')
+        .where('c.certificate_id', parseInt(req.params.id, 10) || 0)
+        .orderBy('c.id', 'desc');
+
+      res.json({ changes });
+    } catch (error) {
+      console.error('getStatusHistory error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+}
+
+module.exports = CertificateStatusController;
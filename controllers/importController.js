@@ -0,0 +1,458 @@
+// controllers/importController.js - Spreadsheet import batch operations
+const knex = require('../config/database');
+const fs = require('fs');
+const xlsx = require('xlsx');
+const { mapRowWithSources } = require('../config/certificateColumns');
+const {
+  KNOWN_HEADERS,
+  ImportFileError,
+  readImportFile,
+  ImportRollbackError,
+  rollbackBatch,
+  validateProfileMappings,
+  scoreProfile
+} = require('../services/certificateImport');
+
+// Profiles scoring below this are not suggested automatically
+const MIN_SUGGESTION_SCORE = 0.5;
+
+// Keep only the keys a profile mapping is made of
+const cleanMappings = (mappings) =>
+  mappings.map(({ source, field, transforms }) => ({
+    source: source.trim(),
+    field,
+    transforms: transforms || []
+  }));
+
+// Positive integer id from a route parameter, or null ("abc", "1.5", "-1").
+// Ids beyond the int4 range cannot exist and are rejected too.
+const parseIdParam = (value) =>
+  (/^\d{1,10}$/.test(String(value)) && Number(value) > 0 && Number(value) <= 2147483647 ? Number(value) : null);
+
+// Batch statuses that will not change any more
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'rolled_back', 'reverted'];
+
+// Public view of an import batch (the full error list is served separately)
+const formatBatch = (batch) => ({
+  id: batch.id,
+  userId: batch.user_id,
+  username: batch.username,
+  filename: batch.filename,
+  mode: batch.mode,
+  strict: batch.strict,
+  status: batch.status,
+  totalRows: batch.total_rows,
+  processedRows: batch.processed_rows,
+  progress: batch.total_rows > 0 ? Math.min(100, Math.round((batch.processed_rows / batch.total_rows) * 100)) : 0,
+  cancelRequested: batch.cancel_requested,
+  inserted: batch.inserted,
+  updated: batch.updated,
+  unchanged: batch.unchanged,
+  skipped: batch.skipped,
+  failed: batch.failed,
+  deleted: batch.deleted,
+  errorCount: (batch.errors || []).length,
+  createdAt: batch.created_at,
+  startedAt: batch.started_at,
+  completedAt: batch.completed_at,
+  revertedAt: batch.reverted_at,
+  revertedBy: batch.reverted_by
+});
+
+class ImportController {
+  // ===========================
+  // Import batch history, newest first (Admin only)
+  // ===========================
+  static async listBatches(req, res) {
+    try {
+      const { page = 1, limit = 20, status } = req.query;
+      const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+      const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+      let query = knex('import_batches as b');
+      if (status) query = query.where('b.status', status);
+
+      const [{ count }] = await query.clone().count('* as count');
+      const total = parseInt(count, 10) || 0;
+
+      const batches = await query
+        .leftJoin('users as u', 'u.id', 'b.user_id')
+        .select('b.*', 'u.username')
+        .orderBy('b.id', 'desc')
+        .limit(limitNum)
+        .offset((pageNum - 1) * limitNum);
+
+      res.json({
+        batches: batches.map(formatBatch),
+        pagination: {
+          totalRecords: total,
+          totalPages: Math.ceil(total / limitNum),
+          currentPage: pageNum,
+          pageSize: limitNum,
+          hasNext: pageNum < Math.ceil(total / limitNum),
+          hasPrev: pageNum > 1
+        }
+      });
+    } catch (error) {
+      console.error('listBatches error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Import batch status, for polling background imports (Admin only)
+  // ===========================
+  static async getBatch(req, res) {
+    try {
+      const id = parseIdParam(req.params.id);
+      if (!id) return res.status(400).json({ message: 'Invalid import batch id' });
+
+      const batch = await knex('import_batches as b')
+        .leftJoin('users as u', 'u.id', 'b.user_id')
+        .select('b.*', 'u.username')
+        .where('b.id', id)
+        .first();
+      if (!batch) return res.status(404).json({ message: 'Import batch not found' });
+      res.json(formatBatch(batch));
+    } catch (error) {
+      console.error('getBatch error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Cancel a queued or running import (Admin only)
+  // A running import stops at its next progress check and rolls back
+  // ===========================
+  static async cancelBatch(req, res) {
+    try {
+      const id = parseIdParam(req.params.id);
+      if (!id) return res.status(400).json({ message: 'Invalid import batch id' });
+
+      const batch = await knex('import_batches').where('id', id).first();
+      if (!batch) return res.status(404).json({ message: 'Import batch not found' });
+
+      if (batch.status === 'queued') {
+        const [cancelled] = await knex('import_batches')
+          .where({ id: batch.id, status: 'queued' })
+          .update({ status: 'cancelled', completed_at: knex.fn.now(), updated_at: knex.fn.now() })
+          .returning('*');
+
+        // The worker claimed it in the meantime; fall through to a cancel request
+        if (cancelled) {
+          if (cancelled.file_path) {
+            try { fs.unlinkSync(cancelled.file_path); } catch (_) {}
+          }
+          return res.json({ message: 'Import cancelled', batch: formatBatch(cancelled) });
+        }
+      } else if (batch.status !== 'processing') {
+        return res.status(409).json({ message: `Import is already ${batch.status}` });
+      }
+
+      const [requested] = await knex('import_batches')
+        .where('id', batch.id)
+        .update({ cancel_requested: true, updated_at: knex.fn.now() })
+        .returning('*');
+
+      res.status(202).json({ message: 'Cancellation requested', batch: formatBatch(requested) });
+    } catch (error) {
+      console.error('cancelBatch error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Final report of a finished import, including every error (Admin only)
+  // ===========================
+  static async getBatchReport(req, res) {
+    try {
+      const id = parseIdParam(req.params.id);
+      if (!id) return res.status(400).json({ message: 'Invalid import batch id' });
+
+      const batch = await knex('import_batches').where('id', id).first();
+      if (!batch) return res.status(404).json({ message: 'Import batch not found' });
+
+      if (!FINISHED_STATUSES.includes(batch.status)) {
+        return res.status(409).json({ message: `Import is still ${batch.status}`, batch: formatBatch(batch) });
+      }
+
+      res.json({ ...formatBatch(batch), errors: batch.errors || [] });
+    } catch (error) {
+      console.error('getBatchReport error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Certificates an import inserted, updated or deleted (Admin only)
+  // ===========================
+  static async getBatchRows(req, res) {
+    try {
+      const id = parseIdParam(req.params.id);
+      if (!id) return res.status(400).json({ message: 'Invalid import batch id' });
+
+      const { page = 1, limit = 50, action } = req.query;
+      const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+      const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+
+      const batch = await knex('import_batches').select('id').where('id', id).first();
+      if (!batch) return res.status(404).json({ message: 'Import batch not found' });
+
+      let query = knex('import_batch_rows').where('batch_id', batch.id);
+      if (action) query = query.where('action', action);
+
+      const [{ count }] = await query.clone().count('* as count');
+      const total = parseInt(count, 10) || 0;
+
+      const rows = await query
+        .select('id', 'certificate_id', 'eo_number', 'action', 'previous', 'changes', 'created_at')
+        .orderBy('id')
+        .limit(limitNum)
+        .offset((pageNum - 1) * limitNum);
+
+      res.json({
+        rows,
+        pagination: {
+          totalRecords: total,
+          totalPages: Math.ceil(total / limitNum),
+          currentPage: pageNum,
+          pageSize: limitNum,
+          hasNext: pageNum < Math.ceil(total / limitNum),
+          hasPrev: pageNum > 1
+        }
+      });
+    } catch (error) {
+      console.error('getBatchRows error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Roll back a completed import (Admin only)
+  // 409 when later imports or later edits touched the same certificates
+  // ===========================
+  static async rollbackBatch(req, res) {
+    try {
+      const id = parseIdParam(req.params.id);
+      if (!id) return res.status(400).json({ message: 'Invalid import batch id' });
+
+      const summary = await rollbackBatch(id, req.user.id);
+      if (!summary) return res.status(404).json({ message: 'Import batch not found' });
+
+      res.json({
+        message: `Import rolled back. ${summary.removed} certificates moved to the trash, ${summary.restored} restored, ${summary.reinserted} re-inserted.`,
+        ...summary
+      });
+    } catch (error) {
+      if (error instanceof ImportRollbackError) {
+        return res.status(409).json({
+          message: error.message,
+          conflictingBatchIds: error.conflicts,
+          editedEoNumbers: error.editedEoNumbers
+        });
+      }
+      console.error('rollbackBatch error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Download the full error list of an import batch (Admin only)
+  // format=csv (default) or json, served as an attachment
+  // ===========================
+  static async downloadBatchErrors(req, res) {
+    try {
+      const id = parseIdParam(req.params.id);
+      if (!id) return res.status(400).json({ message: 'Invalid import batch id' });
+
+      const { format = 'csv' } = req.query;
+      if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({ message: 'Invalid format. Use csv or json' });
+      }
+
+      const batch = await knex('import_batches')
+        .select('id', 'errors')
+        .where('id', id)
+        .first();
+
+      if (!batch) return res.status(404).json({ message: 'Import batch not found' });
+
+      const errors = batch.errors || [];
+      const filename = `import-${batch.id}-errors.${format}`;
+
+      res.attachment(filename);
+      if (format === 'json') {
+        return res.type('application/json').send(JSON.stringify(errors, null, 2));
+      }
+
+      const sheet = xlsx.utils.json_to_sheet(errors, { header: ['sheet', 'row', 'eoNumber', 'error'] });
+      res.type('text/csv').send(xlsx.utils.sheet_to_csv(sheet));
+    } catch (error) {
+      console.error('downloadBatchErrors error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Mapping profiles (Admin only)
+  // ===========================
+  static async listProfiles(req, res) {
+    try {
+      const profiles = await knex('import_mapping_profiles')
+        .select('id', 'name', 'description', 'mappings', 'created_by', 'created_at', 'updated_at')
+        .orderBy('name');
+      res.json({ profiles });
+    } catch (error) {
+      console.error('listProfiles error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  static async getProfile(req, res) {
+    try {
+      const id = parseIdParam(req.params.id);
+      if (!id) return res.status(400).json({ message: 'Invalid mapping profile id' });
+
+      const profile = await knex('import_mapping_profiles').where('id', id).first();
+      if (!profile) return res.status(404).json({ message: 'Mapping profile not found' });
+      res.json(profile);
+    } catch (error) {
+      console.error('getProfile error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  static async createProfile(req, res) {
+    try {
+      const { name, description, mappings } = req.body;
+
+      if (!name || !String(name).trim()) {
+        return res.status(400).json({ message: 'name is required' });
+      }
+      const errors = validateProfileMappings(mappings);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid mappings', errors });
+      }
+
+      const [profile] = await knex('import_mapping_profiles')
+        .insert({
+          name: String(name).trim(),
+          description: description || null,
+          mappings: JSON.stringify(cleanMappings(mappings)),
+          created_by: req.user.id,
+          created_at: knex.fn.now(),
+          updated_at: knex.fn.now()
+        })
+        .returning('*');
+
+      res.status(201).json({ message: 'Mapping profile created successfully', profile });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ message: 'A mapping profile with this name already exists' });
+      }
+      console.error('createProfile error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  static async updateProfile(req, res) {
+    try {
+      const id = parseIdParam(req.params.id);
+      if (!id) return res.status(400).json({ message: 'Invalid mapping profile id' });
+
+      const { name, description, mappings } = req.body;
+      const updateData = { updated_at: knex.fn.now() };
+
+      if (name !== undefined) {
+        if (!String(name).trim()) return res.status(400).json({ message: 'name cannot be empty' });
+        updateData.name = String(name).trim();
+      }
+      if (description !== undefined) updateData.description = description || null;
+      if (mappings !== undefined) {
+        const errors = validateProfileMappings(mappings);
+        if (errors.length > 0) {
+          return res.status(400).json({ message: 'Invalid mappings', errors });
+        }
+        updateData.mappings = JSON.stringify(cleanMappings(mappings));
+      }
+
+      const [profile] = await knex('import_mapping_profiles')
+        .where('id', id)
+        .update(updateData)
+        .returning('*');
+
+      if (!profile) return res.status(404).json({ message: 'Mapping profile not found' });
+      res.json({ message: 'Mapping profile updated successfully', profile });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ message: 'A mapping profile with this name already exists' });
+      }
+      console.error('updateProfile error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  static async deleteProfile(req, res) {
+    try {
+      const id = parseIdParam(req.params.id);
+      if (!id) return res.status(400).json({ message: 'Invalid mapping profile id' });
+
+      const deletedCount = await knex('import_mapping_profiles').where('id', id).del();
+      if (deletedCount === 0) return res.status(404).json({ message: 'Mapping profile not found' });
+      res.json({ message: 'Mapping profile deleted successfully' });
+    } catch (error) {
+      console.error('deleteProfile error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Guess a mapping profile from a sample file's headers (Admin only)
+  // Ranks saved profiles and shows what the built-in aliases would map
+  // ===========================
+  static async detectProfile(req, res) {
+    try {
+      if (!req.file) return res.status(400).json({ message: 'No file uploaded' });
+
+      const profiles = await knex('import_mapping_profiles').select('id', 'name', 'mappings');
+
+      let file;
+      try {
+        file = readImportFile(req.file.path, {
+          originalName: req.file.originalname,
+          sheets: req.body.sheets || req.query.sheets,
+          headerRow: req.body.headerRow || req.query.headerRow,
+          knownHeaders: profiles.reduce((acc, p) => acc.concat(p.mappings.map(m => m.source)), KNOWN_HEADERS)
+        });
+      } catch (err) {
+        if (err instanceof ImportFileError) return res.status(400).json({ message: err.message });
+        throw err;
+      } finally {
+        try { fs.unlinkSync(req.file.path); } catch (_) {}
+      }
+
+      const headers = [...new Set(file.sheets.reduce((acc, sh) => acc.concat(sh.headers), []))];
+      const sample = headers.reduce((acc, h) => ({ ...acc, [h]: h }), {});
+      const builtInMapping = mapRowWithSources(sample).mapping;
+
+      const ranked = profiles
+        .map(p => ({ id: p.id, name: p.name, ...scoreProfile(p, headers) }))
+        .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+
+      const best = ranked[0];
+      res.json({
+        availableSheets: file.availableSheets,
+        sheets: file.sheets,
+        headers,
+        builtInMapping,
+        profiles: ranked,
+        suggestedProfileId: best && best.score >= MIN_SUGGESTION_SCORE ? best.id : null
+      });
+    } catch (error) {
+      console.error('detectProfile error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+}
+
+module.exports = ImportController;
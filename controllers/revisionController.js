@@ -0,0 +1,94 @@
+// controllers/revisionController.js - Certificate change history and restore
+const knex = require('../config/database');
+const { RevisionRestoreError, restoreRevision } = require('../services/certificateRevisions');
+
+// Public view of a certificate revision
+const formatRevision = (revision) => ({
+  id: revision.id,
+  certificateId: revision.certificate_id,
+  eoNumber: revision.eo_number,
+  action: revision.action,
+  source: revision.source,
+  userId: revision.user_id,
+  username: revision.username,
+  batchId: revision.batch_id,
+  restoredFromId: revision.restored_from_id,
+  changes: revision.changes,
+  snapshot: revision.snapshot,
+  createdAt: revision.created_at
+});
+
+class RevisionController {
+  // ===========================
+  // Change history of one certificate, newest first (Admin only)
+  // Also available after the certificate has been deleted
+  // ===========================
+  static async listRevisions(req, res) {
+    try {
+      const certificateId = parseInt(req.params.id, 10) || 0;
+      const { page = 1, limit = 20 } = req.query;
+      const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+      const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+      const query = knex('certificate_revisions as r').where('r.certificate_id', certificateId);
+
+      const [{ count }] = await query.clone().count('* as count');
+      const total = parseInt(count, 10) || 0;
+      if (total === 0) return res.status(404).json({ message: 'No history found for this certificate' });
+
+      const revisions = await query
+        .leftJoin('users as u', 'u.id', 'r.user_id')
+        .select('r.*', 'u.username')
+        .orderBy('r.id', 'desc')
+        .limit(limitNum)
+        .offset((pageNum - 1) * limitNum);
+
+      res.json({
+        revisions: revisions.map(formatRevision),
+        pagination: {
+          totalRecords: total,
+          totalPages: Math.ceil(total / limitNum),
+          currentPage: pageNum,
+          pageSize: limitNum,
+          hasNext: pageNum < Math.ceil(total / limitNum),
+          hasPrev: pageNum > 1
+        }
+      });
+    } catch (error) {
+      console.error('listRevisions error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Restore a certificate to the state recorded by one of its revisions
+  // (Admin only). Deleted certificates are re-created with the same id.
+  // The restore itself is recorded as a new revision.
+  // ===========================
+  static async restoreRevision(req, res) {
+    try {
+      const outcome = await restoreRevision(
+        parseInt(req.params.id, 10) || 0,
+        parseInt(req.params.revisionId, 10) || 0,
+        req.user.id
+      );
+      if (!outcome) return res.status(404).json({ message: 'Revision not found' });
+
+      res.json({
+        message: outcome.revision
+          ? 'Certificate restored successfully'
+          : 'Certificate already matches this revision',
+        certificate: outcome.certificate,
+        revision: outcome.revision ? formatRevision({ ...outcome.revision, username: req.user.username }) : null
+      });
+    } catch (error) {
+      if (error instanceof RevisionRestoreError) {
+        return res.status(409).json({ message: error.message });
+      }
+      console.error('restoreRevision error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+}
+
+module.exports = RevisionController;
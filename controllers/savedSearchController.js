@@ -0,0 +1,231 @@
+// controllers/savedSearchController.js - Per-user saved certificate searches
+const knex = require('../config/database');
+const { SORTABLE_COLUMNS } = require('../config/certificateColumns');
+const {
+  CursorError,
+  StatusFilterError,
+  parseStatusFilter,
+  listCertificates
+} = require('../services/certificateQuery');
+
+// getCertificates params a saved search may hold
+const SEARCH_PARAMS = [
+  'year', 'make', 'model', 'eo_number',
+  'yearFrom', 'yearTo', 'engineSizeMin', 'engineSizeMax',
+  'status', 'sortBy', 'sortOrder'
+];
+
+// Paging params taken from the run request, never from the saved search
+const PAGING_PARAMS = ['page', 'limit', 'pagination', 'cursor', 'includeTotal'];
+
+// saved_searches.name is a varchar(255)
+const MAX_NAME_LENGTH = 255;
+
+// Same rule as the import batch ids: a positive integer column value
+const parseIdParam = (value) =>
+  (/^\d{1,10}$/.test(String(value)) && Number(value) > 0 && Number(value) <= 2147483647 ? Number(value) : null);
+
+// Trimmed name from a request body, or the validation message
+function cleanName(name) {
+  if (typeof name !== 'string' || !name.trim()) return { error: 'name is required' };
+  const trimmed = name.trim();
+  if (trimmed.length > MAX_NAME_LENGTH) return { error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+  return { name: trimmed };
+}
+
+// Validate and normalise saved params to the strings a query string would carry
+function cleanParams(params) {
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    return { error: 'params must be an object' };
+  }
+
+  const unknown = Object.keys(params).filter(key => !SEARCH_PARAMS.includes(key));
+  if (unknown.length) return { error: `Unknown search params: ${unknown.join(', ')}` };
+
+  const cleaned = {};
+  for (const key of Object.keys(params)) {
+    const value = params[key];
+    if (value === null || value === undefined) continue;
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      return { error: `${key} must be a string or number` };
+    }
+    const text = String(value).trim();
+    if (text !== '') cleaned[key] = text;
+  }
+
+  if (cleaned.sortBy && !SORTABLE_COLUMNS.has(cleaned.sortBy)) {
+    return { error: `Cannot sort by "${cleaned.sortBy}"` };
+  }
+  if (cleaned.sortOrder && !['asc', 'desc'].includes(cleaned.sortOrder.toLowerCase())) {
+    return { error: 'sortOrder must be asc or desc' };
+  }
+  if (cleaned.status) {
+    try {
+      parseStatusFilter(cleaned.status);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+  return { params: cleaned };
+}
+
+// `shared` from a request body: a JSON boolean, or undefined when omitted
+const isValidShared = (shared) => shared === undefined || typeof shared === 'boolean';
+
+// Saved searches visible to a user: their own plus everyone's shared ones
+const visibleSearches = (userId) =>
+  knex('saved_searches as s')
+    .leftJoin('users as u', 's.user_id', 'u.id')
+    .select('s.*', 'u.username')
+    .where(function() {
+      this.where('s.user_id', userId).orWhere('s.shared', true);
+    });
+
+const withOwnership = (search, userId) => ({ ...search, owned: search.user_id === userId });
+
+class SavedSearchController {
+  // ===========================
+  // List own and shared saved searches
+  // ===========================
+  static async listSavedSearches(req, res) {
+    try {
+      const searches = await visibleSearches(req.user.id).orderBy('s.name').orderBy('s.id');
+      res.json({ savedSearches: searches.map(s => withOwnership(s, req.user.id)) });
+    } catch (error) {
+      console.error('listSavedSearches error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  static async getSavedSearch(req, res) {
+    try {
+      const id = parseIdParam(req.params.id);
+      if (!id) return res.status(400).json({ message: 'Invalid saved search id' });
+
+      const search = await visibleSearches(req.user.id).andWhere('s.id', id).first();
+      if (!search) return res.status(404).json({ message: 'Saved search not found' });
+      res.json(withOwnership(search, req.user.id));
+    } catch (error) {
+      console.error('getSavedSearch error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  static async createSavedSearch(req, res) {
+    try {
+      const { name, params = {}, shared = false } = req.body;
+
+      const cleanedName = cleanName(name);
+      if (cleanedName.error) return res.status(400).json({ message: cleanedName.error });
+      const cleaned = cleanParams(params);
+      if (cleaned.error) return res.status(400).json({ message: cleaned.error });
+      if (!isValidShared(shared)) return res.status(400).json({ message: 'shared must be true or false' });
+
+      const [search] = await knex('saved_searches')
+        .insert({
+          user_id: req.user.id,
+          name: cleanedName.name,
+          params: JSON.stringify(cleaned.params),
+          shared,
+          created_at: knex.fn.now(),
+          updated_at: knex.fn.now()
+        })
+        .returning('*');
+
+      res.status(201).json({ message: 'Search saved successfully', savedSearch: withOwnership(search, req.user.id) });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ message: 'You already have a saved search with this name' });
+      }
+      console.error('createSavedSearch error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Rename, re-share or change the params of an own saved search
+  // ===========================
+  static async updateSavedSearch(req, res) {
+    try {
+      const id = parseIdParam(req.params.id);
+      if (!id) return res.status(400).json({ message: 'Invalid saved search id' });
+
+      const { name, params, shared } = req.body;
+      const updateData = { updated_at: knex.fn.now() };
+
+      if (name !== undefined) {
+        const cleaned = cleanName(name);
+        if (cleaned.error) return res.status(400).json({ message: cleaned.error });
+        updateData.name = cleaned.name;
+      }
+      if (params !== undefined) {
+        const cleaned = cleanParams(params);
+        if (cleaned.error) return res.status(400).json({ message: cleaned.error });
+        updateData.params = JSON.stringify(cleaned.params);
+      }
+      if (shared !== undefined) {
+        if (!isValidShared(shared)) return res.status(400).json({ message: 'shared must be true or false' });
+        updateData.shared = shared;
+      }
+
+      const [search] = await knex('saved_searches')
+        .where({ id, user_id: req.user.id })
+        .update(updateData)
+        .returning('*');
+
+      if (!search) return res.status(404).json({ message: 'Saved search not found' });
+      res.json({ message: 'Saved search updated successfully', savedSearch: withOwnership(search, req.user.id) });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ message: 'You already have a saved search with this name' });
+      }
+      console.error('updateSavedSearch error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  static async deleteSavedSearch(req, res) {
+    try {
+      const id = parseIdParam(req.params.id);
+      if (!id) return res.status(400).json({ message: 'Invalid saved search id' });
+
+      const deletedCount = await knex('saved_searches')
+        .where({ id, user_id: req.user.id })
+        .del();
+      if (deletedCount === 0) return res.status(404).json({ message: 'Saved search not found' });
+      res.json({ message: 'Saved search deleted successfully' });
+    } catch (error) {
+      console.error('deleteSavedSearch error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Run a saved search: same response as GET /eo-certificates, with
+  // page/limit/cursor taken from this request's query string
+  // ===========================
+  static async runSavedSearch(req, res) {
+    try {
+      const id = parseIdParam(req.params.id);
+      if (!id) return res.status(400).json({ message: 'Invalid saved search id' });
+
+      const search = await visibleSearches(req.user.id).andWhere('s.id', id).first();
+      if (!search) return res.status(404).json({ message: 'Saved search not found' });
+
+      const query = { ...search.params };
+      PAGING_PARAMS.forEach(key => {
+        if (req.query[key] !== undefined) query[key] = req.query[key];
+      });
+
+      res.json(await listCertificates(query));
+    } catch (error) {
+      if (error instanceof CursorError || error instanceof StatusFilterError) {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('runSavedSearch error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+}
+
+module.exports = SavedSearchController;
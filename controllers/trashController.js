@@ -0,0 +1,119 @@
+// controllers/trashController.js - Trash bin for deleted certificates (Admin only)
+const knex = require('../config/database');
+const { SELECT_COLUMNS, TRASH_COLUMNS } = require('../config/certificateColumns');
+const { StatusFilterError, applyCertificateFilters } = require('../services/certificateQuery');
+const {
+  retentionDays,
+  purgeDate,
+  TrashRestoreError,
+  parseIds,
+  trashedCertificates,
+  restoreCertificates,
+  purgeTrash
+} = require('../services/certificateTrash');
+
+class TrashController {
+  // ===========================
+  // Trashed certificates, most recently deleted first
+  // Accepts the getCertificates filters (year, make, model, eo_number, ...);
+  // every status is listed unless status is given
+  // ===========================
+  static async listTrash(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+      const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+      const days = retentionDays();
+
+      const query = applyCertificateFilters(trashedCertificates(), { status: 'all', ...req.query });
+
+      const [{ count }] = await query.clone().count('* as count');
+      const total = parseInt(count, 10) || 0;
+
+      const rows = await query
+        .select([...SELECT_COLUMNS, ...TRASH_COLUMNS])
+        .select(knex.raw('(SELECT username FROM users WHERE users.id = eo_certificates.deleted_by) AS deleted_by_username'))
+        .orderBy('deleted_at', 'desc')
+        .orderBy('id', 'desc')
+        .limit(limitNum)
+        .offset((pageNum - 1) * limitNum);
+
+      res.json({
+        certificates: rows.map(row => ({ ...row, purge_at: purgeDate(row.deleted_at, days) })),
+        retentionDays: days,
+        pagination: {
+          totalRecords: total,
+          totalPages: Math.ceil(total / limitNum),
+          currentPage: pageNum,
+          pageSize: limitNum,
+          hasNext: pageNum < Math.ceil(total / limitNum),
+          hasPrev: pageNum > 1
+        }
+      });
+    } catch (error) {
+      if (error instanceof StatusFilterError) return res.status(400).json({ message: error.message });
+      console.error('listTrash error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Restore one trashed certificate
+  // ===========================
+  static async restoreCertificate(req, res) {
+    try {
+      const [certificate] = await restoreCertificates([parseInt(req.params.id, 10) || 0], req.user.id);
+      if (!certificate) return res.status(404).json({ message: 'Certificate not found in trash' });
+
+      res.json({ message: 'Certificate restored successfully', certificate });
+    } catch (error) {
+      if (error instanceof TrashRestoreError) {
+        return res.status(409).json({ message: error.message, eoNumbers: error.eoNumbers });
+      }
+      console.error('restoreCertificate error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Restore several trashed certificates: { certificateIds: [...] }
+  // Ids that are not in the trash are ignored; nothing is restored if any
+  // EO Number is already taken (409)
+  // ===========================
+  static async bulkRestoreCertificates(req, res) {
+    try {
+      const ids = parseIds(req.body.certificateIds);
+      if (!ids) return res.status(400).json({ message: 'certificateIds must be a non-empty array of ids' });
+
+      const restored = await restoreCertificates(ids, req.user.id);
+      res.json({
+        message: `${restored.length} certificates restored`,
+        restoredCount: restored.length,
+        restoredIds: restored.map(c => c.id)
+      });
+    } catch (error) {
+      if (error instanceof TrashRestoreError) {
+        return res.status(409).json({ message: error.message, eoNumbers: error.eoNumbers });
+      }
+      console.error('bulkRestoreCertificates error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // ===========================
+  // Permanently remove certificates past the retention period
+  // (TRASH_RETENTION_DAYS, default 30). Also runs daily on its own.
+  // ===========================
+  static async purgeTrash(req, res) {
+    try {
+      const days = retentionDays();
+      const purgedCount = await purgeTrash(days, req.user.id);
+      res.json({ message: `${purgedCount} certificates purged`, purgedCount, retentionDays: days });
+    } catch (error) {
+      console.error('purgeTrash error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+}
+
+module.exports = TrashController;
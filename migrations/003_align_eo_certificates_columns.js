@@ -0,0 +1,209 @@
+// migrations/003_align_eo_certificates_columns.js
+// Brings eo_certificates to the column names the controllers query
+// ("EO Number", "Vehicle Make", ...). Works on both existing shapes:
+//  - databases built by migration 002 (snake_case columns) are renamed in place
+//  - databases that already use the quoted names only get what is missing
+// Either way the result is the same: required columns are NOT NULL and
+// "EO Number" is unique. Each change is recorded in CHANGES_TABLE so that
+// down() reverses only what up() did on this database.
+
+const TABLE = 'eo_certificates';
+const CHANGES_TABLE = 'eo_certificates_alignment_changes';
+
+// The columns as they were when this migration was written. Kept here rather
+// than read from config/certificateColumns.js so later config changes cannot
+// alter what replaying this migration does.
+const COLUMNS = [
+  { name: 'EO Number', legacyName: 'eo_number', type: 'string', required: true, unique: true, index: true },
+  { name: 'Vehicle Make', legacyName: 'make', type: 'string', required: true, index: true },
+  { name: 'Vehicle Model', legacyName: 'model', type: 'string', required: true, index: true },
+  { name: 'Evaporative Family', legacyName: 'evaporative_family', type: 'string' },
+  { name: 'Vehicle Class', legacyName: null, type: 'string' },
+  { name: 'Year', legacyName: 'year', type: 'integer', required: true, index: true },
+  { name: 'Manufacturer', legacyName: 'manufacturer', type: 'string', index: true },
+  { name: 'Test Group', legacyName: 'test_group', type: 'string' },
+  { name: 'Engine Size(L)', legacyName: 'engine_size', type: 'string' },
+  { name: 'Exhaust Emission Control System (ECS)', legacyName: 'exhaust_ecs_special_features', type: 'text' }
+];
+
+// Most offending values quoted in an error message
+const EXAMPLE_LIMIT = 5;
+
+const quoteColumn = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+const indexName = (column) => `${TABLE}_${column.legacyName}_index`;
+const uniqueName = (column) => `${TABLE}_${column.legacyName}_unique`;
+
+const addColumn = (table, column) => {
+  if (column.type === 'integer') return table.integer(column.name);
+  if (column.type === 'text') return table.text(column.name);
+  return table.string(column.name);
+};
+
+const indexExists = async (knex, name) => {
+  const { rows } = await knex.raw('SELECT 1 FROM pg_indexes WHERE indexname = ?', [name]);
+  return rows.length > 0;
+};
+
+const isNullable = async (knex, name) => {
+  const { rows } = await knex.raw(
+    `SELECT is_nullable FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = ? AND column_name = ?`,
+    [TABLE, name]
+  );
+  return rows[0].is_nullable === 'YES';
+};
+
+exports.up = async function(knex) {
+  await knex.schema.createTable(CHANGES_TABLE, (table) => {
+    table.increments('id').primary();
+    // renamed | added | merged | timestamp | not_null | index | unique
+    table.string('action').notNullable();
+    table.string('column_name').notNullable();
+  });
+  const record = (action, columnName) => knex(CHANGES_TABLE).insert({ action, column_name: columnName });
+
+  for (const column of COLUMNS) {
+    const hasCurrent = await knex.schema.hasColumn(TABLE, column.name);
+    const hasLegacy = column.legacyName
+      ? await knex.schema.hasColumn(TABLE, column.legacyName)
+      : false;
+
+    if (!hasCurrent && hasLegacy) {
+      await knex.schema.table(TABLE, (table) => {
+        table.renameColumn(column.legacyName, column.name);
+      });
+      await record('renamed', column.name);
+    } else if (!hasCurrent) {
+      await knex.schema.table(TABLE, (table) => {
+        addColumn(table, column);
+      });
+      await record('added', column.name);
+    } else if (hasLegacy) {
+      // Both shapes present: keep the quoted value, fill gaps from the legacy column
+      await knex.raw(
+        `UPDATE ?? SET ${quoteColumn(column.name)} = ?? WHERE ${quoteColumn(column.name)} IS NULL`,
+        [TABLE, column.legacyName]
+      );
+      await knex.schema.table(TABLE, (table) => {
+        table.dropColumn(column.legacyName);
+      });
+      await record('merged', column.name);
+    }
+  }
+
+  const hasCreatedAt = await knex.schema.hasColumn(TABLE, 'created_at');
+  const hasUpdatedAt = await knex.schema.hasColumn(TABLE, 'updated_at');
+  if (!hasCreatedAt || !hasUpdatedAt) {
+    await knex.schema.table(TABLE, (table) => {
+      if (!hasCreatedAt) table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+      if (!hasUpdatedAt) table.timestamp('updated_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    });
+    if (!hasCreatedAt) await record('timestamp', 'created_at');
+    if (!hasUpdatedAt) await record('timestamp', 'updated_at');
+  }
+
+  // Renamed columns are already NOT NULL (migration 002); added or pre-existing
+  // quoted columns get the same constraint, provided the data allows it
+  for (const column of COLUMNS.filter(c => c.required)) {
+    if (!(await isNullable(knex, column.name))) continue;
+    const [{ count }] = await knex(TABLE).whereNull(column.name).count('* as count');
+    if (parseInt(count, 10) > 0) {
+      throw new Error(
+        `Cannot make "${column.name}" NOT NULL: ${count} rows in ${TABLE} have no value. ` +
+        'Fill in or delete those rows, then run the migration again.'
+      );
+    }
+    await knex.raw(`ALTER TABLE ?? ALTER COLUMN ${quoteColumn(column.name)} SET NOT NULL`, [TABLE]);
+    await record('not_null', column.name);
+  }
+
+  // Renamed columns keep the indexes from migration 002 (same names), so these
+  // are no-ops there and only create what a quoted-shape database is missing.
+  for (const column of COLUMNS.filter(c => c.index)) {
+    if (await indexExists(knex, indexName(column))) continue;
+    await knex.raw(`CREATE INDEX ?? ON ?? (${quoteColumn(column.name)})`, [indexName(column), TABLE]);
+    await record('index', column.name);
+  }
+
+  for (const column of COLUMNS.filter(c => c.unique)) {
+    if (await indexExists(knex, uniqueName(column))) continue;
+    const { rows } = await knex.raw(
+      `SELECT ${quoteColumn(column.name)} AS value FROM ?? WHERE ${quoteColumn(column.name)} IS NOT NULL
+       GROUP BY ${quoteColumn(column.name)} HAVING COUNT(*) > 1 ORDER BY 1 LIMIT ${EXAMPLE_LIMIT + 1}`,
+      [TABLE]
+    );
+    if (rows.length > 0) {
+      const examples = rows.slice(0, EXAMPLE_LIMIT).map(r => r.value).join(', ');
+      throw new Error(
+        `Cannot add unique index on "${column.name}": duplicate values exist in ${TABLE} ` +
+        `(${examples}${rows.length > EXAMPLE_LIMIT ? ', ...' : ''}). ` +
+        'Merge or delete the duplicate rows, then run the migration again.'
+      );
+    }
+    await knex.raw(`CREATE UNIQUE INDEX ?? ON ?? (${quoteColumn(column.name)})`, [uniqueName(column), TABLE]);
+    await record('unique', column.name);
+  }
+};
+
+// Undo the recorded changes, newest first. Refuses (rather than guess) when
+// there is no record, when legacy columns were merged away, or when dropping
+// an added column would lose values written since.
+exports.down = async function(knex) {
+  if (!(await knex.schema.hasTable(CHANGES_TABLE))) {
+    throw new Error(
+      `Cannot roll back 003: ${CHANGES_TABLE} is missing, so it is unknown what this migration changed. ` +
+      'Restore eo_certificates from a backup instead.'
+    );
+  }
+
+  const changes = await knex(CHANGES_TABLE).orderBy('id', 'desc');
+  const columnByName = (name) => COLUMNS.find(c => c.name === name);
+
+  const merged = changes.filter(c => c.action === 'merged').map(c => c.column_name);
+  if (merged.length > 0) {
+    throw new Error(
+      `Cannot roll back 003: the legacy columns of ${merged.map(n => `"${n}"`).join(', ')} were merged and dropped. ` +
+      'Restore eo_certificates from a backup instead.'
+    );
+  }
+  for (const change of changes.filter(c => c.action === 'added')) {
+    const [{ count }] = await knex(TABLE).whereNotNull(change.column_name).count('* as count');
+    if (parseInt(count, 10) > 0) {
+      throw new Error(
+        `Cannot roll back 003: dropping "${change.column_name}" would lose the values of ${count} rows. ` +
+        'Clear or export that column, then roll back again.'
+      );
+    }
+  }
+
+  for (const change of changes) {
+    const column = columnByName(change.column_name);
+    switch (change.action) {
+      case 'unique':
+        await knex.raw('DROP INDEX IF EXISTS ??', [uniqueName(column)]);
+        break;
+      case 'index':
+        await knex.raw('DROP INDEX IF EXISTS ??', [indexName(column)]);
+        break;
+      case 'not_null':
+        await knex.raw(`ALTER TABLE ?? ALTER COLUMN ${quoteColumn(column.name)} DROP NOT NULL`, [TABLE]);
+        break;
+      case 'timestamp':
+      case 'added':
+        await knex.schema.table(TABLE, (table) => {
+          table.dropColumn(change.column_name);
+        });
+        break;
+      case 'renamed':
+        await knex.schema.table(TABLE, (table) => {
+          table.renameColumn(column.name, column.legacyName);
+        });
+        break;
+      default:
+        break;
+    }
+  }
+
+  await knex.schema.dropTable(CHANGES_TABLE);
+};
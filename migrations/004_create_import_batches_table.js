@@ -0,0 +1,29 @@
+// migrations/004_create_import_batches_table.js
+// One row per spreadsheet import run, holding its counts and the full error list
+exports.up = function(knex) {
+    return knex.schema.createTable('import_batches', function(table) {
+      table.increments('id').primary();
+      table.integer('user_id').references('id').inTable('users').onDelete('SET NULL');
+      table.string('filename');
+      table.string('mode').notNullable().defaultTo('insert');
+      table.boolean('strict').notNullable().defaultTo(false);
+      table.string('status').notNullable().defaultTo('processing');
+      table.integer('total_rows').notNullable().defaultTo(0);
+      table.integer('inserted').notNullable().defaultTo(0);
+      table.integer('updated').notNullable().defaultTo(0);
+      table.integer('unchanged').notNullable().defaultTo(0);
+      table.integer('skipped').notNullable().defaultTo(0);
+      table.integer('failed').notNullable().defaultTo(0);
+      table.integer('deleted').notNullable().defaultTo(0);
+      table.jsonb('errors').notNullable().defaultTo('[]');
+      table.timestamp('completed_at', { useTz: true });
+      table.timestamps(true, true);
+
+      table.index(['user_id']);
+      table.index(['created_at']);
+    });
+  };
+
+  exports.down = function(knex) {
+    return knex.schema.dropTable('import_batches');
+  };
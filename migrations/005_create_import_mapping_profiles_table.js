@@ -0,0 +1,17 @@
+// migrations/005_create_import_mapping_profiles_table.js
+// Named source-header -> certificate-field mappings for supplier spreadsheets
+exports.up = function(knex) {
+    return knex.schema.createTable('import_mapping_profiles', function(table) {
+      table.increments('id').primary();
+      table.string('name').notNullable().unique();
+      table.text('description');
+      // [{ source: 'EO no', field: 'EO Number', transforms: ['trim', 'uppercase'] }, ...]
+      table.jsonb('mappings').notNullable().defaultTo('[]');
+      table.integer('created_by').references('id').inTable('users').onDelete('SET NULL');
+      table.timestamps(true, true);
+    });
+  };
+
+  exports.down = function(knex) {
+    return knex.schema.dropTable('import_mapping_profiles');
+  };
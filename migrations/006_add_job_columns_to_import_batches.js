@@ -0,0 +1,26 @@
+// migrations/006_add_job_columns_to_import_batches.js
+// Lets an import batch be queued and processed by the background worker
+exports.up = function(knex) {
+    return knex.schema.alterTable('import_batches', function(table) {
+      // Upload options the worker needs: mode, year, strict, profileId, sheets, headerRow
+      table.jsonb('options').notNullable().defaultTo('{}');
+      // Temp upload kept until the worker has processed it
+      table.string('file_path');
+      table.integer('processed_rows').notNullable().defaultTo(0);
+      table.boolean('cancel_requested').notNullable().defaultTo(false);
+      table.timestamp('started_at', { useTz: true });
+
+      table.index(['status']);
+    });
+  };
+
+  exports.down = function(knex) {
+    return knex.schema.alterTable('import_batches', function(table) {
+      table.dropIndex(['status']);
+      table.dropColumn('options');
+      table.dropColumn('file_path');
+      table.dropColumn('processed_rows');
+      table.dropColumn('cancel_requested');
+      table.dropColumn('started_at');
+    });
+  };
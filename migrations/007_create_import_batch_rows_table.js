@@ -0,0 +1,34 @@
+// migrations/007_create_import_batch_rows_table.js
+// Links every certificate an import inserted, updated or deleted to its batch,
+// with the values needed to roll the batch back
+exports.up = async function(knex) {
+    await knex.schema.createTable('import_batch_rows', function(table) {
+      table.increments('id').primary();
+      table.integer('batch_id').notNullable().references('id').inTable('import_batches').onDelete('CASCADE');
+      // No FK: rows must survive the certificate being deleted (rollback restores it)
+      table.integer('certificate_id').notNullable();
+      table.string('eo_number');
+      table.string('action').notNullable(); // insert | update | delete
+      // update: previous values of the changed fields; delete: the whole row
+      table.jsonb('previous');
+      // update: { field: { from, to } }
+      table.jsonb('changes');
+      table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+
+      table.index(['batch_id']);
+      table.index(['certificate_id']);
+    });
+
+    await knex.schema.alterTable('import_batches', function(table) {
+      table.timestamp('reverted_at', { useTz: true });
+      table.integer('reverted_by').references('id').inTable('users').onDelete('SET NULL');
+    });
+  };
+
+  exports.down = async function(knex) {
+    await knex.schema.alterTable('import_batches', function(table) {
+      table.dropColumn('reverted_at');
+      table.dropColumn('reverted_by');
+    });
+    await knex.schema.dropTable('import_batch_rows');
+  };
@@ -0,0 +1,33 @@
+// migrations/008_add_search_vector_to_eo_certificates.js
+// Full-text search column over the searchable certificate fields. It is a
+// generated column, so every insert, update and import keeps it current.
+const TABLE = 'eo_certificates';
+
+// Searchable columns and their tsvector weight, as they were when this
+// migration was written (not read from config, which may change later)
+const SEARCH_COLUMNS = [
+  { name: 'EO Number', searchWeight: 'A' },
+  { name: 'Vehicle Make', searchWeight: 'B' },
+  { name: 'Vehicle Model', searchWeight: 'B' },
+  { name: 'Evaporative Family', searchWeight: 'C' },
+  { name: 'Manufacturer', searchWeight: 'C' },
+  { name: 'Test Group', searchWeight: 'C' },
+  { name: 'Exhaust Emission Control System (ECS)', searchWeight: 'D' }
+];
+
+const quoteColumn = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+// 'simple' config: EO numbers, model names and part codes must not be stemmed
+const searchExpression = SEARCH_COLUMNS
+  .map(c => `setweight(to_tsvector('simple', coalesce(${quoteColumn(c.name)}, '')), '${c.searchWeight}')`)
+  .join(' || ');
+
+exports.up = async function(knex) {
+    await knex.raw(`ALTER TABLE ${TABLE} ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (${searchExpression}) STORED`);
+    await knex.raw(`CREATE INDEX ${TABLE}_search_vector_index ON ${TABLE} USING GIN (search_vector)`);
+  };
+
+  exports.down = async function(knex) {
+    await knex.raw(`DROP INDEX IF EXISTS ${TABLE}_search_vector_index`);
+    await knex.raw(`ALTER TABLE ${TABLE} DROP COLUMN search_vector`);
+  };
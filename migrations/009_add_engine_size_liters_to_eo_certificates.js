@@ -0,0 +1,38 @@
+// migrations/009_add_engine_size_liters_to_eo_certificates.js
+// Numeric engine displacement in litres, parsed from the free-text
+// "Engine Size(L)" column so it can be range-filtered and sorted:
+//   "5.7L", "5.7"    -> 5.7
+//   "350 CID", "350" -> 5.7  (cubic inches; bare numbers over 30 are CID)
+//   "1998cc"         -> 2.0
+//   "V8"             -> NULL
+// Generated, so it stays in step with every write.
+const TABLE = 'eo_certificates';
+const SOURCE = 'lower("Engine Size(L)")';
+const NUMBER = '([0-9]+([.][0-9]+){0,1})';
+const CUBIC_INCHES_TO_LITRES = 0.016387064;
+
+// First number followed by the given unit pattern, as numeric (NULL if none)
+const numberBefore = (unit) => `substring(${SOURCE} from '${NUMBER} *${unit}')::numeric`;
+const LITRES = numberBefore('l');
+const CUBIC_INCHES = numberBefore('(cid|ci|cu)');
+const CC = numberBefore('cc');
+// Unitless values must start with the number ("V8" is not 8 litres)
+const LEADING = `substring(${SOURCE} from '^ *${NUMBER}')::numeric`;
+
+const litresExpression = `CASE
+      WHEN ${LITRES} IS NOT NULL THEN ${LITRES}
+      WHEN ${CUBIC_INCHES} IS NOT NULL THEN round(${CUBIC_INCHES} * ${CUBIC_INCHES_TO_LITRES}, 1)
+      WHEN ${CC} IS NOT NULL THEN round(${CC} / 1000, 1)
+      WHEN ${LEADING} > 30 THEN round(${LEADING} * ${CUBIC_INCHES_TO_LITRES}, 1)
+      ELSE ${LEADING}
+    END`;
+
+exports.up = async function(knex) {
+    await knex.raw(`ALTER TABLE ${TABLE} ADD COLUMN engine_size_liters numeric GENERATED ALWAYS AS (${litresExpression}) STORED`);
+    await knex.raw(`CREATE INDEX ${TABLE}_engine_size_liters_index ON ${TABLE} (engine_size_liters)`);
+  };
+
+  exports.down = async function(knex) {
+    await knex.raw(`DROP INDEX IF EXISTS ${TABLE}_engine_size_liters_index`);
+    await knex.raw(`ALTER TABLE ${TABLE} DROP COLUMN engine_size_liters`);
+  };
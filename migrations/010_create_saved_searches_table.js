@@ -0,0 +1,21 @@
+// migrations/010_create_saved_searches_table.js
+// Named certificate searches (filters + sort) saved against a user account
+exports.up = function(knex) {
+    return knex.schema.createTable('saved_searches', function(table) {
+      table.increments('id').primary();
+      table.integer('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.string('name').notNullable();
+      // getCertificates query params: { year, make, model, sortBy, sortOrder, ... }
+      table.jsonb('params').notNullable().defaultTo('{}');
+      // Shared searches are listed and runnable for every approved user
+      table.boolean('shared').notNullable().defaultTo(false);
+      table.timestamps(true, true);
+
+      table.unique(['user_id', 'name']);
+      table.index(['shared']);
+    });
+  };
+
+  exports.down = function(knex) {
+    return knex.schema.dropTable('saved_searches');
+  };
@@ -0,0 +1,20 @@
+// migrations/011_add_trigram_indexes_to_eo_certificates.js
+// Trigram indexes for typo-tolerant autocomplete. The indexed expressions
+// must stay identical to the ones in services/certificateSuggest.js:
+//  - EO Number with punctuation/spaces removed, upper-cased ("D-260-44" -> "D26044")
+//  - make and model lower-cased
+const TABLE = 'eo_certificates';
+
+exports.up = async function(knex) {
+    await knex.raw('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+    await knex.raw(`CREATE INDEX ${TABLE}_eo_number_trgm_index ON ${TABLE} USING GIN ((upper(regexp_replace("EO Number", '[^A-Za-z0-9]', '', 'g'))) gin_trgm_ops)`);
+    await knex.raw(`CREATE INDEX ${TABLE}_make_trgm_index ON ${TABLE} USING GIN ((lower("Vehicle Make")) gin_trgm_ops)`);
+    await knex.raw(`CREATE INDEX ${TABLE}_model_trgm_index ON ${TABLE} USING GIN ((lower("Vehicle Model")) gin_trgm_ops)`);
+  };
+
+  exports.down = async function(knex) {
+    await knex.raw(`DROP INDEX IF EXISTS ${TABLE}_model_trgm_index`);
+    await knex.raw(`DROP INDEX IF EXISTS ${TABLE}_make_trgm_index`);
+    await knex.raw(`DROP INDEX IF EXISTS ${TABLE}_eo_number_trgm_index`);
+    // pg_trgm is left installed; other objects may depend on it
+  };
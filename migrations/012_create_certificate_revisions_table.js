@@ -0,0 +1,28 @@
+// migrations/012_create_certificate_revisions_table.js
+// One row per change to a certificate: who made it, where it came from and a
+// before/after diff per field, plus the full record after the change
+exports.up = function(knex) {
+    return knex.schema.createTable('certificate_revisions', function(table) {
+      table.increments('id').primary();
+      // No FK: history must outlive the certificate
+      table.integer('certificate_id').notNullable();
+      table.string('eo_number');
+      table.string('action').notNullable(); // create | update | delete
+      table.string('source').notNullable().defaultTo('api'); // api | import | rollback | restore
+      table.integer('user_id').references('id').inTable('users').onDelete('SET NULL');
+      table.integer('batch_id').references('id').inTable('import_batches').onDelete('SET NULL');
+      table.integer('restored_from_id').references('id').inTable('certificate_revisions').onDelete('SET NULL');
+      // { field: { from, to } } for every field that changed
+      table.jsonb('changes').notNullable().defaultTo('{}');
+      // Certificate fields after the change; NULL for deletes
+      table.jsonb('snapshot');
+      table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+
+      table.index(['certificate_id', 'id']);
+      table.index(['batch_id']);
+    });
+  };
+
+  exports.down = function(knex) {
+    return knex.schema.dropTable('certificate_revisions');
+  };
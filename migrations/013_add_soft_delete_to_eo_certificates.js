@@ -0,0 +1,18 @@
+// migrations/013_add_soft_delete_to_eo_certificates.js
+// Deleted certificates move to a trash bin instead of being removed; they are
+// purged for good once the retention period (TRASH_RETENTION_DAYS) has passed
+exports.up = function(knex) {
+    return knex.schema.alterTable('eo_certificates', function(table) {
+      table.timestamp('deleted_at', { useTz: true });
+      table.integer('deleted_by').references('id').inTable('users').onDelete('SET NULL');
+      table.index(['deleted_at']);
+    });
+  };
+
+  exports.down = function(knex) {
+    return knex.schema.alterTable('eo_certificates', function(table) {
+      table.dropIndex(['deleted_at']);
+      table.dropColumn('deleted_by');
+      table.dropColumn('deleted_at');
+    });
+  };
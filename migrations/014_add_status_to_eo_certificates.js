@@ -0,0 +1,50 @@
+// migrations/014_add_status_to_eo_certificates.js
+// Lifecycle of an executive order: active, superseded (by another EO) or
+// revoked, with the dates it is valid for and the latest status change.
+// Every change is logged in certificate_status_changes.
+exports.up = async function(knex) {
+    await knex.schema.alterTable('eo_certificates', function(table) {
+      table.enu('status', ['active', 'superseded', 'revoked']).notNullable().defaultTo('active');
+      table.text('status_reason');
+      table.date('effective_date');
+      table.date('expiry_date');
+      table.integer('superseded_by').references('id').inTable('eo_certificates').onDelete('SET NULL');
+      table.timestamp('status_changed_at', { useTz: true });
+      table.integer('status_changed_by').references('id').inTable('users').onDelete('SET NULL');
+
+      table.index(['status']);
+      table.index(['superseded_by']);
+    });
+
+    await knex.schema.createTable('certificate_status_changes', function(table) {
+      table.increments('id').primary();
+      // No FK: the log must outlive the certificate
+      table.integer('certificate_id').notNullable();
+      table.string('eo_number');
+      table.string('from_status').notNullable();
+      table.string('to_status').notNullable();
+      table.text('reason').notNullable();
+      table.integer('superseded_by');
+      table.date('effective_date');
+      table.date('expiry_date');
+      table.integer('user_id').references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+
+      table.index(['certificate_id', 'id']);
+    });
+  };
+
+  exports.down = async function(knex) {
+    await knex.schema.dropTable('certificate_status_changes');
+    await knex.schema.alterTable('eo_certificates', function(table) {
+      table.dropIndex(['superseded_by']);
+      table.dropIndex(['status']);
+      table.dropColumn('status_changed_by');
+      table.dropColumn('status_changed_at');
+      table.dropColumn('superseded_by');
+      table.dropColumn('expiry_date');
+      table.dropColumn('effective_date');
+      table.dropColumn('status_reason');
+      table.dropColumn('status');
+    });
+  };
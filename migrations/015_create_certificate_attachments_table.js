@@ -0,0 +1,25 @@
+// migrations/015_create_certificate_attachments_table.js
+// Documents (the official EO PDFs) attached to certificates. Files live in
+// the private attachments directory, never under the public /uploads mount.
+exports.up = function(knex) {
+    return knex.schema.createTable('certificate_attachments', function(table) {
+      table.increments('id').primary();
+      // No FK: attachments follow the certificate id through the trash,
+      // import rollbacks and revision restores; purging removes them
+      table.integer('certificate_id').notNullable();
+      table.string('filename').notNullable(); // original name, used for downloads
+      table.string('stored_name').notNullable().unique(); // name on disk
+      table.string('mimetype').notNullable();
+      table.integer('size').notNullable();
+      table.string('checksum', 64).notNullable(); // sha256, hex
+      table.integer('uploaded_by').references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+
+      table.index(['certificate_id']);
+      table.unique(['certificate_id', 'checksum']);
+    });
+  };
+
+  exports.down = function(knex) {
+    return knex.schema.dropTable('certificate_attachments');
+  };
@@ -0,0 +1,29 @@
+// migrations/016_scope_eo_number_unique_to_live_certificates.js
+// "EO Number" only has to be unique among live certificates. A trashed
+// certificate no longer blocks re-creating or re-importing its EO Number
+// (replace-year imports rely on this); restoring it while another live
+// certificate holds the number is refused instead.
+const TABLE = 'eo_certificates';
+const LEGACY_UNIQUE = `${TABLE}_eo_number_unique`;
+const LIVE_UNIQUE = `${TABLE}_eo_number_live_unique`;
+
+exports.up = async function(knex) {
+    // Created as a constraint by migration 002, as a plain unique index by 003
+    await knex.raw(`ALTER TABLE ${TABLE} DROP CONSTRAINT IF EXISTS ${LEGACY_UNIQUE}`);
+    await knex.raw(`DROP INDEX IF EXISTS ${LEGACY_UNIQUE}`);
+    await knex.raw(`CREATE UNIQUE INDEX ${LIVE_UNIQUE} ON ${TABLE} ("EO Number") WHERE deleted_at IS NULL`);
+  };
+
+  exports.down = async function(knex) {
+    const { rows } = await knex.raw(
+      `SELECT "EO Number" AS value FROM ${TABLE} GROUP BY "EO Number" HAVING COUNT(*) > 1 ORDER BY 1 LIMIT 5`
+    );
+    if (rows.length > 0) {
+      throw new Error(
+        `Cannot make "EO Number" unique across the trash: ${rows.map(r => r.value).join(', ')} ` +
+        'are held by more than one certificate. Purge the trashed copies, then roll back again.'
+      );
+    }
+    await knex.raw(`DROP INDEX IF EXISTS ${LIVE_UNIQUE}`);
+    await knex.raw(`CREATE UNIQUE INDEX ${LEGACY_UNIQUE} ON ${TABLE} ("EO Number")`);
+  };
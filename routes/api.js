@@ -1,31 +1,60 @@
 // routes/api.js - Main API routes
 const express = require('express');
 const multer = require('multer');
+const path = require('path');
 const UserController = require('../controllers/userController');
 const CertificateController = require('../controllers/certificateController');
+const ImportController = require('../controllers/importController');
+const SavedSearchController = require('../controllers/savedSearchController');
+const RevisionController = require('../controllers/revisionController');
+const TrashController = require('../controllers/trashController');
+const CertificateStatusController = require('../controllers/certificateStatusController');
+const AttachmentController = require('../controllers/attachmentController');
+const {
+  ATTACHMENT_MIMETYPES,
+  ATTACHMENT_EXTENSIONS,
+  MAX_ATTACHMENT_SIZE,
+  MAX_ATTACHMENTS_PER_UPLOAD,
+  attachmentDir,
+  storedName
+} = require('../services/certificateAttachments');
+const { importUploadDir } = require('../services/certificateImport');
 const { authenticateToken, requireAdmin, requireApprovedUser, rateLimit } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Multer configuration
+// Multer configuration (spreadsheets go to private storage; queued imports
+// wait there for the worker)
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, 'uploads/')
+    cb(null, importUploadDir())
   },
   filename: function (req, file, cb) {
     cb(null, Date.now() + '-' + file.originalname)
   }
 });
 
+// Spreadsheet formats accepted for certificate imports
+const IMPORT_MIMETYPES = [
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel',
+  'text/csv',
+  'application/csv',
+  'text/tab-separated-values',
+  'text/plain',
+  'application/octet-stream'
+];
+const IMPORT_EXTENSIONS = ['.xlsx', '.xls', '.csv', '.tsv', '.tab', '.txt'];
+
 const upload = multer({ 
   storage: storage,
   fileFilter: (req, file, cb) => {
-    // Accept only Excel files
-    if (file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' || 
-        file.mimetype === 'application/vnd.ms-excel') {
+    // Accept only Excel, CSV and TSV files (browsers disagree on CSV mimetypes, so check both)
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (IMPORT_MIMETYPES.includes(file.mimetype) && IMPORT_EXTENSIONS.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error('Only Excel files are allowed'), false);
+      cb(new Error('Only Excel, CSV or TSV files are allowed'), false);
     }
   },
   limits: {
@@ -33,6 +62,40 @@ const upload = multer({
   }
 });
 
+// Certificate documents go to private storage too
+const attachmentUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, attachmentDir()),
+    filename: (req, file, cb) => cb(null, storedName(file.originalname))
+  }),
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (ATTACHMENT_MIMETYPES.includes(file.mimetype) && ATTACHMENT_EXTENSIONS.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF documents are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: MAX_ATTACHMENT_SIZE,
+    files: MAX_ATTACHMENTS_PER_UPLOAD
+  }
+});
+
+// Report rejected documents as 400s; multer removes any files it already wrote
+const acceptAttachments = (req, res, next) => {
+  attachmentUpload.array('documents', MAX_ATTACHMENTS_PER_UPLOAD)(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ message: `Documents must be at most ${MAX_ATTACHMENT_SIZE / (1024 * 1024)}MB each` });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ message: `Upload up to ${MAX_ATTACHMENTS_PER_UPLOAD} documents in the "documents" field` });
+    }
+    res.status(400).json({ message: err.message });
+  });
+};
+
 // Apply rate limiting to all API routes
 router.use(rateLimit(15 * 60 * 1000, 1000)); // 1000 requests per 15 minutes
 
@@ -54,20 +117,42 @@ router.put('/user/profile', authenticateToken, requireApprovedUser, UserControll
 router.post('/user/change-password', authenticateToken, requireApprovedUser, UserController.changePassword);
 router.get('/user/dashboard-stats', authenticateToken, requireApprovedUser, CertificateController.getDashboardStats);
 
+// Saved searches (own + shared)
+router.get('/user/saved-searches', authenticateToken, requireApprovedUser, SavedSearchController.listSavedSearches);
+router.post('/user/saved-searches', authenticateToken, requireApprovedUser, SavedSearchController.createSavedSearch);
+router.get('/user/saved-searches/:id', authenticateToken, requireApprovedUser, SavedSearchController.getSavedSearch);
+router.put('/user/saved-searches/:id', authenticateToken, requireApprovedUser, SavedSearchController.updateSavedSearch);
+router.delete('/user/saved-searches/:id', authenticateToken, requireApprovedUser, SavedSearchController.deleteSavedSearch);
+router.get('/user/saved-searches/:id/run', authenticateToken, requireApprovedUser, SavedSearchController.runSavedSearch);
+
 
 router.get('/eo-certificates/dropdowns/years', authenticateToken, requireApprovedUser, CertificateController.getDropdownYears);
 router.get('/eo-certificates/dropdowns/vehicle-makes', authenticateToken, requireApprovedUser, CertificateController.getDropdownVehicleMakes);
 router.get('/eo-certificates/dropdowns/vehicle-models', authenticateToken, requireApprovedUser, CertificateController.getDropdownVehicleModels);
 router.get('/eo-certificates/dropdowns/eo-numbers', authenticateToken, requireApprovedUser, CertificateController.getDropdownEONumbers);
+router.get('/eo-certificates/dropdowns/options', authenticateToken, requireApprovedUser, CertificateController.getCascadingOptions);
 
 // EO Certificate Routes (for approved users)
 router.get('/eo-certificates', authenticateToken, requireApprovedUser, CertificateController.getCertificates);
+router.get('/eo-certificates/autocomplete', authenticateToken, requireApprovedUser, CertificateController.autocomplete);
 router.get('/eo-certificates/:id', authenticateToken, requireApprovedUser, CertificateController.getCertificate);
-router.post('/eo-certificates/search', authenticateToken, requireApprovedUser, CertificateController.getCertificates);
+router.post('/eo-certificates/search', authenticateToken, requireApprovedUser, CertificateController.searchCertificates);
+router.post('/eo-certificates/batch-lookup',
+  authenticateToken,
+  requireApprovedUser,
+  upload.single('excel'),
+  CertificateController.batchLookup
+);
 router.get('/eo-number/:eo_number', authenticateToken, requireApprovedUser, CertificateController.searchByEONumber);
+router.get('/vin/:vin', authenticateToken, requireApprovedUser, CertificateController.lookupByVin);
+
+// Certificate documents (EO PDFs)
+router.get('/eo-certificates/:id/attachments', authenticateToken, requireApprovedUser, AttachmentController.listAttachments);
+router.get('/eo-certificates/:id/attachments/:attachmentId/download', authenticateToken, requireApprovedUser, AttachmentController.downloadAttachment);
 
 // Filter options
 router.get('/filter-options', authenticateToken, requireApprovedUser, CertificateController.getFilterOptions);
+router.get('/filter-options/facets', authenticateToken, requireApprovedUser, CertificateController.getFacets);
 
 // Admin Routes - User Management
 router.get('/admin/users', authenticateToken, requireAdmin, UserController.getAllUsers);
@@ -79,9 +164,33 @@ router.post('/admin/users/bulk-update', authenticateToken, requireAdmin, UserCon
 router.get('/admin/eo-certificates', authenticateToken, requireAdmin, CertificateController.getCertificates);
 router.post('/admin/eo-certificates', authenticateToken, requireAdmin, CertificateController.createCertificate);
 router.put('/admin/eo-certificates/:id', authenticateToken, requireAdmin, CertificateController.updateCertificate);
+router.patch('/admin/eo-certificates/:id', authenticateToken, requireAdmin, CertificateController.patchCertificate);
 router.delete('/admin/eo-certificates/:id', authenticateToken, requireAdmin, CertificateController.deleteCertificate);
 router.post('/admin/eo-certificates/bulk-delete', authenticateToken, requireAdmin, CertificateController.bulkDeleteCertificates);
 
+// Admin Routes - Trash bin (deleted certificates)
+router.get('/admin/eo-certificates/trash', authenticateToken, requireAdmin, TrashController.listTrash);
+router.post('/admin/eo-certificates/trash/restore', authenticateToken, requireAdmin, TrashController.bulkRestoreCertificates);
+router.post('/admin/eo-certificates/trash/purge', authenticateToken, requireAdmin, TrashController.purgeTrash);
+router.post('/admin/eo-certificates/:id/restore', authenticateToken, requireAdmin, TrashController.restoreCertificate);
+
+// Admin Routes - Certificate status (active / superseded / revoked)
+router.post('/admin/eo-certificates/:id/status', authenticateToken, requireAdmin, CertificateStatusController.changeStatus);
+router.get('/admin/eo-certificates/:id/status-history', authenticateToken, requireAdmin, CertificateStatusController.getStatusHistory);
+
+// Admin Routes - Certificate documents
+router.post('/admin/eo-certificates/:id/attachments',
+  authenticateToken,
+  requireAdmin,
+  acceptAttachments,
+  AttachmentController.uploadAttachments
+);
+router.delete('/admin/eo-certificates/:id/attachments/:attachmentId', authenticateToken, requireAdmin, AttachmentController.deleteAttachment);
+
+// Admin Routes - Certificate revision history
+router.get('/admin/eo-certificates/:id/revisions', authenticateToken, requireAdmin, RevisionController.listRevisions);
+router.post('/admin/eo-certificates/:id/revisions/:revisionId/restore', authenticateToken, requireAdmin, RevisionController.restoreRevision);
+
 // Admin Routes - File Operations
 router.post('/admin/upload-excel', 
   authenticateToken, 
@@ -90,7 +199,30 @@ router.post('/admin/upload-excel',
   CertificateController.uploadExcel
 );
 
+// Admin Routes - Import batches (history, background job status, reports, rollback)
+router.get('/admin/import-batches', authenticateToken, requireAdmin, ImportController.listBatches);
+router.get('/admin/import-batches/:id', authenticateToken, requireAdmin, ImportController.getBatch);
+router.post('/admin/import-batches/:id/cancel', authenticateToken, requireAdmin, ImportController.cancelBatch);
+router.get('/admin/import-batches/:id/report', authenticateToken, requireAdmin, ImportController.getBatchReport);
+router.get('/admin/import-batches/:id/errors', authenticateToken, requireAdmin, ImportController.downloadBatchErrors);
+router.get('/admin/import-batches/:id/rows', authenticateToken, requireAdmin, ImportController.getBatchRows);
+router.post('/admin/import-batches/:id/rollback', authenticateToken, requireAdmin, ImportController.rollbackBatch);
+
+// Admin Routes - Import mapping profiles
+router.get('/admin/import-profiles', authenticateToken, requireAdmin, ImportController.listProfiles);
+router.post('/admin/import-profiles', authenticateToken, requireAdmin, ImportController.createProfile);
+router.post('/admin/import-profiles/detect',
+  authenticateToken,
+  requireAdmin,
+  upload.single('excel'),
+  ImportController.detectProfile
+);
+router.get('/admin/import-profiles/:id', authenticateToken, requireAdmin, ImportController.getProfile);
+router.put('/admin/import-profiles/:id', authenticateToken, requireAdmin, ImportController.updateProfile);
+router.delete('/admin/import-profiles/:id', authenticateToken, requireAdmin, ImportController.deleteProfile);
+
 router.get('/admin/export-certificates', authenticateToken, requireAdmin, CertificateController.exportCertificates);
+router.get('/admin/export-certificates/stream', authenticateToken, requireAdmin, CertificateController.streamExportCertificates);
 
 // Admin Routes - Dashboard and Analytics
 router.get('/admin/dashboard-stats', authenticateToken, requireAdmin, CertificateController.getDashboardStats);
@@ -112,8 +244,8 @@ router.use((error, req, res, next) => {
       return res.status(400).json({ message: 'File too large. Maximum size is 10MB.' });
     }
   }
-  if (error.message === 'Only Excel files are allowed') {
-    return res.status(400).json({ message: 'Only Excel files (.xlsx, .xls) are allowed.' });
+  if (error.message === 'Only Excel, CSV or TSV files are allowed') {
+    return res.status(400).json({ message: 'Only Excel (.xlsx, .xls), CSV (.csv) or TSV (.tsv) files are allowed.' });
   }
   next(error);
 });
@@ -6,6 +6,8 @@ const knex = require('./config/database');
 const authRoutes = require('./routes/auth');
 const apiRoutes = require('./routes/api');
 const adminRoutes = require('./routes/admin');
+const { recoverImportJobs } = require('./services/importWorker');
+const { startTrashPurge } = require('./services/certificateTrash');
 require('dotenv').config();
 
 const app = express();
@@ -22,9 +24,9 @@ app.use(cors({
     process.env.FRONTEND_URL
   ].filter(Boolean),
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'Content-Length', 'X-Requested-With'],
-  exposedHeaders: ['Content-Range', 'X-Content-Range']
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Content-Disposition']
 }));
 
 // Handle preflight requests
@@ -35,13 +37,9 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve static files from the public directory
 // app.use(express.static(path.join(__dirname, 'public')));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
-// Create uploads directory if it doesn't exist
-const fs = require('fs');
-if (!fs.existsSync('./uploads')) {
-  fs.mkdirSync('./uploads');
-}
+// Uploaded spreadsheets and certificate documents live in private storage
+// (see services/certificateImport.js and services/certificateAttachments.js)
+// and are never served statically.
 
 // API Routes (consolidated to avoid duplicates)
 app.use('/api/auth', authRoutes);
@@ -143,6 +141,15 @@ async function startServer() {
     
     // Create default admin
     await createDefaultAdmin();
+
+    // Resume or fail imports interrupted by the last shutdown
+    const { resumed, failed } = await recoverImportJobs();
+    if (resumed || failed) {
+      console.log(`✅ Import jobs recovered: ${resumed} resumed, ${failed} marked failed`);
+    }
+
+    // Purge certificates whose trash retention period has passed
+    startTrashPurge();
     
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
@@ -0,0 +1,91 @@
+// services/cascadingOptions.js - Distinct values of one certificate dimension
+// given exact selections on any of the others (cascading dropdowns)
+const knex = require('../config/database');
+const { getColumn, quoteColumn } = require('../config/certificateColumns');
+const { ENGINE_LITERS, liveCertificates } = require('./certificateQuery');
+
+// Query-param name -> certificate column
+const DIMENSIONS = {
+  year: 'Year',
+  make: 'Vehicle Make',
+  model: 'Vehicle Model',
+  manufacturer: 'Manufacturer',
+  vehicleClass: 'Vehicle Class',
+  testGroup: 'Test Group',
+  engineSize: 'Engine Size(L)',
+  eoNumber: 'EO Number'
+};
+
+class OptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OptionsError';
+  }
+}
+
+// Validate { next, ...selection } from a query string. Every selection value
+// must be a single non-empty value of the column's type.
+function parseOptionsRequest(query = {}) {
+  const { next, ...rest } = query;
+
+  if (!next) throw new OptionsError('next is required');
+  if (!DIMENSIONS[next]) {
+    throw new OptionsError(`next must be one of: ${Object.keys(DIMENSIONS).join(', ')}`);
+  }
+
+  const unknown = Object.keys(rest).filter(key => !DIMENSIONS[key]);
+  if (unknown.length) throw new OptionsError(`Unknown parameters: ${unknown.join(', ')}`);
+  if (rest[next] !== undefined) throw new OptionsError(`${next} cannot be both selected and requested`);
+
+  return { next, selection: validateSelection(rest) };
+}
+
+function validateSelection(selection) {
+  return Object.keys(selection).reduce((acc, key) => {
+    const value = selection[key];
+    if (Array.isArray(value) || value === undefined || value === null || String(value).trim() === '') {
+      throw new OptionsError(`${key} must be a single non-empty value`);
+    }
+    if (getColumn(DIMENSIONS[key]).type === 'integer') {
+      if (!/^\d+$/.test(String(value).trim())) throw new OptionsError(`${key} must be an integer`);
+      acc[key] = parseInt(value, 10);
+    } else {
+      acc[key] = String(value);
+    }
+    return acc;
+  }, {});
+}
+
+// [{ value, count }] for `next` among certificates matching every selection
+async function fetchOptions(next, selection = {}) {
+  const column = quoteColumn(DIMENSIONS[next]);
+
+  let query = liveCertificates()
+    .select(knex.raw(`${column} AS value`))
+    .count('* as count')
+    .whereNotNull(knex.raw(column))
+    .groupByRaw(column);
+
+  Object.keys(selection).forEach(key => {
+    query = query.whereRaw(`${quoteColumn(DIMENSIONS[key])} = ?`, [selection[key]]);
+  });
+
+  if (next === 'year') {
+    query = query.orderBy('value', 'desc');
+  } else if (next === 'engineSize') {
+    query = query.orderByRaw(`min(${ENGINE_LITERS}) asc nulls last`).orderBy('value');
+  } else {
+    query = query.orderBy('value');
+  }
+
+  const rows = await query;
+  return rows.map(r => ({ value: r.value, count: parseInt(r.count, 10) }));
+}
+
+module.exports = {
+  DIMENSIONS,
+  OptionsError,
+  parseOptionsRequest,
+  validateSelection,
+  fetchOptions
+};
@@ -0,0 +1,170 @@
+// services/certificateAttachments.js - PDF documents attached to certificates
+// Multer writes uploads straight into the attachments directory; this module
+// checks them, records their metadata and removes files that are not kept.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const knex = require('../config/database');
+const { liveCertificates } = require('./certificateQuery');
+
+const ATTACHMENT_MIMETYPES = ['application/pdf'];
+const ATTACHMENT_EXTENSIONS = ['.pdf'];
+const MAX_ATTACHMENT_SIZE = 20 * 1024 * 1024; // 20MB per document
+const MAX_ATTACHMENTS_PER_UPLOAD = 10;
+
+// Every PDF starts with this header
+const PDF_SIGNATURE = Buffer.from('%PDF-');
+
+class AttachmentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AttachmentError';
+  }
+}
+
+// Private storage directory (ATTACHMENTS_DIR). Read on every call because
+// server.js loads .env after the routes are required.
+function attachmentDir() {
+  const dir = path.resolve(process.env.ATTACHMENTS_DIR || path.join('storage', 'attachments'));
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+const attachmentPath = (attachment) => path.join(attachmentDir(), attachment.stored_name);
+
+// Name on disk for a new upload; the original name is kept in the database
+const storedName = (originalName) =>
+  `${crypto.randomUUID()}${path.extname(originalName).toLowerCase()}`;
+
+const removeFiles = (filePaths) => {
+  filePaths.forEach((filePath) => {
+    try { fs.unlinkSync(filePath); } catch (_) {}
+  });
+};
+
+function fileChecksum(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// The mimetype comes from the client, so also check the file itself
+function hasPdfSignature(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = Buffer.alloc(PDF_SIGNATURE.length);
+    const read = fs.readSync(fd, header, 0, header.length, 0);
+    return read === header.length && header.equals(PDF_SIGNATURE);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Record uploaded files (multer file objects) as attachments of a live
+// certificate. All or nothing: on any error every uploaded file is removed.
+// Resolves to the new attachment rows, or null if the certificate is not found.
+async function saveAttachments(certificateId, files, userId = null) {
+  try {
+    const prepared = [];
+    for (const file of files) {
+      if (!hasPdfSignature(file.path)) {
+        throw new AttachmentError(`${file.originalname} is not a valid PDF document`);
+      }
+      const checksum = await fileChecksum(file.path);
+      if (prepared.some(p => p.checksum === checksum)) {
+        throw new AttachmentError(`${file.originalname} was uploaded twice`);
+      }
+      prepared.push({
+        certificate_id: certificateId,
+        filename: file.originalname,
+        stored_name: path.basename(file.path),
+        mimetype: file.mimetype,
+        size: file.size,
+        checksum,
+        uploaded_by: userId
+      });
+    }
+
+    const saved = await knex.transaction(async (trx) => {
+      const certificate = await liveCertificates(trx).select('id').where('id', certificateId).first();
+      if (!certificate) return null;
+
+      const duplicates = await trx('certificate_attachments')
+        .select('filename')
+        .where('certificate_id', certificateId)
+        .whereIn('checksum', prepared.map(p => p.checksum));
+      if (duplicates.length > 0) {
+        throw new AttachmentError(`Already attached: ${duplicates.map(d => d.filename).join(', ')}`);
+      }
+
+      return trx('certificate_attachments').insert(prepared).returning('*');
+    });
+
+    if (!saved) removeFiles(files.map(f => f.path));
+    return saved;
+  } catch (error) {
+    removeFiles(files.map(f => f.path));
+    throw error;
+  }
+}
+
+// Attachments of a live certificate, oldest first; null if it is not found
+async function listAttachments(certificateId) {
+  const certificate = await liveCertificates().select('id').where('id', certificateId).first();
+  if (!certificate) return null;
+
+  return knex('certificate_attachments as a')
+    .leftJoin('users as u', 'u.id', 'a.uploaded_by')
+    .select('a.*', 'u.username as uploaded_by_username')
+    .where('a.certificate_id', certificateId)
+    .orderBy('a.id');
+}
+
+// One attachment of a live certificate, or undefined
+const findAttachment = (certificateId, attachmentId) =>
+  knex('certificate_attachments')
+    .where({ id: attachmentId, certificate_id: certificateId })
+    .whereExists(liveCertificates().select(1).whereRaw('eo_certificates.id = certificate_attachments.certificate_id'))
+    .first();
+
+// Remove one attachment and its file; resolves to the removed row or undefined
+async function deleteAttachment(certificateId, attachmentId) {
+  const [removed] = await knex('certificate_attachments')
+    .where({ id: attachmentId, certificate_id: certificateId })
+    .del()
+    .returning('*');
+  if (removed) removeFiles([attachmentPath(removed)]);
+  return removed;
+}
+
+// Delete the attachment rows of the given certificates inside `trx`.
+// Resolves to the file paths to remove once the transaction has committed.
+async function detachAll(trx, certificateIds) {
+  if (certificateIds.length === 0) return [];
+  const removed = await trx('certificate_attachments')
+    .whereIn('certificate_id', certificateIds)
+    .del()
+    .returning('stored_name');
+  return removed.map(attachmentPath);
+}
+
+module.exports = {
+  ATTACHMENT_MIMETYPES,
+  ATTACHMENT_EXTENSIONS,
+  MAX_ATTACHMENT_SIZE,
+  MAX_ATTACHMENTS_PER_UPLOAD,
+  AttachmentError,
+  attachmentDir,
+  attachmentPath,
+  storedName,
+  removeFiles,
+  saveAttachments,
+  listAttachments,
+  findAttachment,
+  deleteAttachment,
+  detachAll
+};
@@ -0,0 +1,70 @@
+// services/certificateExport.js - Cursor-based streaming export of eo_certificates
+// Rows are fetched from a server-side cursor in fixed-size batches and written
+// out as they arrive, so memory use does not grow with the table.
+const knex = require('../config/database');
+
+// Rows fetched per FETCH round trip
+const CURSOR_BATCH_SIZE = 1000;
+const CURSOR_NAME = 'certificate_export_cursor';
+
+const STREAM_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson; charset=utf-8' }
+};
+
+// RFC 4180 field: quote when it contains a separator, quote or line break
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = (values) => `${values.map(csvField).join(',')}\r\n`;
+
+// Write a chunk, waiting for 'drain' when the stream is buffering. Resolves
+// early if the stream closes (client went away) so the caller never hangs.
+function writeChunk(stream, chunk) {
+  return new Promise((resolve) => {
+    if (stream.destroyed) return resolve(false);
+    if (stream.write(chunk)) return resolve(true);
+
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve(!stream.destroyed);
+    };
+    stream.once('drain', done);
+    stream.once('close', done);
+  });
+}
+
+// Run `query` through a cursor and hand each batch of rows to onRows. The
+// cursor lives in its own read-only transaction, which holds one pooled
+// connection until the export finishes or isCancelled() returns true.
+async function streamQuery(query, onRows, options = {}) {
+  const { batchSize = CURSOR_BATCH_SIZE, isCancelled = () => false } = options;
+  const { sql, bindings } = query.toSQL();
+
+  await knex.transaction(async (trx) => {
+    await trx.raw('SET TRANSACTION READ ONLY');
+    await trx.raw(`DECLARE ${CURSOR_NAME} NO SCROLL CURSOR FOR ${sql}`, bindings);
+
+    for (;;) {
+      if (isCancelled()) break;
+      const { rows } = await trx.raw(`FETCH ${batchSize} FROM ${CURSOR_NAME}`);
+      if (rows.length === 0) break;
+      await onRows(rows);
+      if (rows.length < batchSize) break;
+    }
+
+    await trx.raw(`CLOSE ${CURSOR_NAME}`);
+  });
+}
+
+module.exports = {
+  CURSOR_BATCH_SIZE,
+  STREAM_FORMATS,
+  csvLine,
+  writeChunk,
+  streamQuery
+};
@@ -0,0 +1,772 @@
+// services/certificateImport.js - Spreadsheet parsing and import planning for eo_certificates
+const fs = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+const knex = require('../config/database');
+const {
+  CERTIFICATE_COLUMNS,
+  CERTIFICATE_COLUMN_NAMES,
+  SELECT_COLUMNS,
+  TRASH_COLUMNS,
+  getColumn,
+  normalizeValue,
+  mapRowWithSources,
+  missingRequired,
+  yearBounds
+} = require('../config/certificateColumns');
+const { recordRevision, recordRevisions } = require('./certificateRevisions');
+const { liveCertificates } = require('./certificateQuery');
+const { trashCertificates } = require('./certificateTrash');
+
+const EO_NUMBER = 'EO Number';
+const LOOKUP_CHUNK_SIZE = 1000;
+
+const IMPORT_MODES = ['insert', 'upsert', 'replace-year'];
+
+// How often (in rows) applyPlan reports progress
+const PROGRESS_INTERVAL = 100;
+
+// Text formats are read with raw values so EO Numbers like "D-260-44" are not
+// coerced into dates or numbers
+const TEXT_FORMATS = {
+  '.csv': ',',
+  '.txt': ',',
+  '.tsv': '\t',
+  '.tab': '\t'
+};
+
+// Title/notes rows above the header are looked for in this many rows
+const HEADER_SCAN_ROWS = 20;
+
+// Header names recognised without a mapping profile
+const KNOWN_HEADERS = CERTIFICATE_COLUMNS.reduce((acc, c) => acc.concat(c.name, c.aliases), []);
+
+// Problems with the uploaded file itself (unknown sheet, bad header row)
+class ImportFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportFileError';
+  }
+}
+
+// Private directory uploaded spreadsheets are written to (IMPORT_UPLOAD_DIR).
+// Queued imports wait here until the worker picks them up, so it must not be
+// served publicly. Read on every call because server.js loads .env after the
+// routes are required.
+function importUploadDir() {
+  const dir = path.resolve(process.env.IMPORT_UPLOAD_DIR || path.join('storage', 'imports'));
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+// Parse an uploaded file. A file the parser cannot make sense of (corrupt or
+// encrypted workbook, wrong extension) is an ImportFileError; file system
+// errors (err.code set) are passed through unchanged.
+function readWorkbook(filePath, originalName) {
+  const ext = path.extname(originalName || filePath).toLowerCase();
+  const separator = TEXT_FORMATS[ext];
+
+  try {
+    if (separator === '\t') {
+      return xlsx.read(fs.readFileSync(filePath, 'utf8'), { type: 'string', FS: separator, raw: true });
+    }
+    if (separator) {
+      return xlsx.readFile(filePath, { raw: true });
+    }
+    return xlsx.readFile(filePath);
+  } catch (err) {
+    if (err.code) throw err;
+    throw new ImportFileError(`Could not read ${originalName || path.basename(filePath)}: ${err.message}`);
+  }
+}
+
+// 0-based index of the row that looks most like a header row: the one with
+// the most cells matching known header names, and at least minScore of them.
+// Falls back to the first row.
+function detectHeaderRow(worksheet, knownHeaders = KNOWN_HEADERS, minScore = 2) {
+  if (!worksheet['!ref']) return 0;
+
+  const range = xlsx.utils.decode_range(worksheet['!ref']);
+  const firstRow = range.s.r;
+  range.e.r = Math.min(range.e.r, firstRow + HEADER_SCAN_ROWS - 1);
+
+  const known = new Set(knownHeaders.map(h => String(h).trim().toLowerCase()));
+  const grid = xlsx.utils.sheet_to_json(worksheet, { header: 1, range, blankrows: true, defval: null });
+
+  let best = { index: firstRow, score: 0 };
+  grid.forEach((cells, i) => {
+    const score = cells.filter(c => c !== null && known.has(String(c).trim().toLowerCase())).length;
+    if (score > best.score) best = { index: firstRow + i, score };
+  });
+
+  // By default a single matching cell is more likely a title ("EO") than a
+  // header row; one-column lists pass minScore 1
+  return best.score >= minScore ? best.index : firstRow;
+}
+
+// Which sheets to load: a list of names, "all", or (default) the first sheet
+function selectSheets(workbook, sheets) {
+  if (!sheets) return [workbook.SheetNames[0]];
+  if (sheets === 'all') return workbook.SheetNames;
+
+  const requested = (Array.isArray(sheets) ? sheets : String(sheets).split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  const unknown = requested.filter(name => !workbook.SheetNames.includes(name));
+  if (unknown.length > 0) {
+    throw new ImportFileError(
+      `Unknown sheet(s): ${unknown.join(', ')}. Available sheets: ${workbook.SheetNames.join(', ')}`
+    );
+  }
+  return requested;
+}
+
+// Read an uploaded spreadsheet (xlsx, xls, csv, tsv).
+// options: { originalName, sheets, headerRow (1-based, overrides detection), knownHeaders }
+// Returns { availableSheets, sheets: [{ name, headerRow, headers, rowCount }], rows }
+// where each row is { sheet, row (1-based sheet row), values (header-keyed) }.
+function readImportFile(filePath, options = {}) {
+  const workbook = readWorkbook(filePath, options.originalName);
+  const forcedHeaderRow = options.headerRow != null ? parseInt(options.headerRow, 10) : null;
+  if (forcedHeaderRow !== null && !(forcedHeaderRow >= 1)) {
+    throw new ImportFileError('headerRow must be a positive row number');
+  }
+
+  const sheets = [];
+  const rows = [];
+
+  selectSheets(workbook, options.sheets).forEach((name) => {
+    const worksheet = workbook.Sheets[name];
+    const headerIndex = forcedHeaderRow !== null
+      ? forcedHeaderRow - 1
+      : detectHeaderRow(worksheet, options.knownHeaders);
+
+    const values = worksheet['!ref'] ? xlsx.utils.sheet_to_json(worksheet, { range: headerIndex }) : [];
+    values.forEach((v) => {
+      // sheet_to_json tags each object with its 0-based sheet row
+      rows.push({ sheet: name, row: v.__rowNum__ + 1, values: v });
+    });
+
+    sheets.push({ name, headerRow: headerIndex + 1, headers: collectHeaders(values), rowCount: values.length });
+  });
+
+  return { availableSheets: workbook.SheetNames, sheets, rows };
+}
+
+// Values of one column of the first sheet, for single-column lists (e.g. EO
+// numbers to look up). When a header row with one of `headerNames` is found
+// (title rows above it are allowed), the values are that column's cells
+// below it; otherwise every cell of the sheet's first column is returned.
+function readSingleColumn(filePath, options = {}) {
+  const workbook = readWorkbook(filePath, options.originalName);
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!worksheet || !worksheet['!ref']) return [];
+
+  const headerNames = (options.headerNames || []).map(h => String(h).trim().toLowerCase());
+  const isHeader = (cell) => cell !== null && headerNames.includes(String(cell).trim().toLowerCase());
+
+  // Rows of the sheet's used range, as arrays starting at its first column
+  const firstRow = xlsx.utils.decode_range(worksheet['!ref']).s.r;
+  const grid = xlsx.utils.sheet_to_json(worksheet, { header: 1, blankrows: true, defval: null });
+
+  const headerIndex = detectHeaderRow(worksheet, KNOWN_HEADERS.concat(headerNames), 1) - firstRow;
+  const column = (grid[headerIndex] || []).findIndex(isHeader);
+
+  return grid
+    .slice(column === -1 ? 0 : headerIndex + 1)
+    .map(cells => cells[column === -1 ? 0 : column])
+    .filter(v => v !== undefined && v !== null && String(v).trim() !== '')
+    .map(v => String(v).trim());
+}
+
+// Every header that appears in at least one row, in first-seen order
+function collectHeaders(rows) {
+  const headers = new Set();
+  rows.forEach(row => Object.keys(row).forEach(h => headers.add(h)));
+  return [...headers];
+}
+
+// ---- Mapping profiles ----
+
+// Value transforms a mapping profile can chain on a source column
+const TRANSFORMS = {
+  trim: (v) => String(v).trim(),
+  uppercase: (v) => String(v).toUpperCase(),
+  lowercase: (v) => String(v).toLowerCase(),
+  collapseSpaces: (v) => String(v).replace(/\s+/g, ' ').trim(),
+  // "MY2014", "2014 model", "14" -> 2014
+  parseYear: (v) => {
+    const s = String(v);
+    const full = s.match(/(19|20)\d{2}/);
+    if (full) return parseInt(full[0], 10);
+    const short = s.match(/^\s*'?(\d{2})\s*$/);
+    if (short) {
+      const n = parseInt(short[1], 10);
+      return n < 50 ? 2000 + n : 1900 + n;
+    }
+    return v;
+  }
+};
+
+const applyTransforms = (value, transforms = []) =>
+  transforms.reduce((v, name) => TRANSFORMS[name](v), value);
+
+// Problems with a profile's mappings array, empty when valid
+function validateProfileMappings(mappings) {
+  if (!Array.isArray(mappings) || mappings.length === 0) {
+    return ['mappings must be a non-empty array'];
+  }
+
+  const errors = [];
+  const seenFields = new Set();
+  mappings.forEach((m, i) => {
+    if (!m || typeof m.source !== 'string' || m.source.trim() === '') {
+      errors.push(`mappings[${i}].source is required`);
+    }
+    if (!m || !CERTIFICATE_COLUMN_NAMES.includes(m.field)) {
+      errors.push(`mappings[${i}].field must be one of: ${CERTIFICATE_COLUMN_NAMES.join(', ')}`);
+    } else if (seenFields.has(m.field)) {
+      errors.push(`mappings[${i}].field "${m.field}" is mapped more than once`);
+    } else {
+      seenFields.add(m.field);
+    }
+    if (m && m.transforms !== undefined) {
+      if (!Array.isArray(m.transforms)) {
+        errors.push(`mappings[${i}].transforms must be an array`);
+      } else {
+        m.transforms
+          .filter(t => !Object.prototype.hasOwnProperty.call(TRANSFORMS, t))
+          .forEach(t => errors.push(`mappings[${i}].transforms: unknown transform "${t}"`));
+      }
+    }
+  });
+  return errors;
+}
+
+// Map one spreadsheet row. Profile mappings win; columns the profile does
+// not cover fall back to the built-in header aliases.
+function mapRow(row, profile = null) {
+  const { record, mapping } = mapRowWithSources(row);
+  if (!profile) return { record, mapping };
+
+  profile.mappings.forEach(({ source, field, transforms }) => {
+    if (row[source] === undefined || row[source] === '') return;
+    record[field] = normalizeValue(getColumn(field), applyTransforms(row[source], transforms));
+    mapping[field] = source;
+  });
+  return { record, mapping };
+}
+
+// How well a profile fits a file's headers: share of its sources present
+function scoreProfile(profile, headers) {
+  const available = new Set(headers);
+  const matchedHeaders = profile.mappings.map(m => m.source).filter(h => available.has(h));
+  const missingHeaders = profile.mappings.map(m => m.source).filter(h => !available.has(h));
+  const score = profile.mappings.length > 0 ? matchedHeaders.length / profile.mappings.length : 0;
+  return { score: Math.round(score * 100) / 100, matchedHeaders, missingHeaders };
+}
+
+// Validation messages for one mapped row
+function validateRecord(record, mapping, row) {
+  // A value was supplied but did not survive normalization (e.g. Year = "n/a")
+  const invalid = Object.keys(mapping).filter((name) => {
+    const header = mapping[name];
+    return header && record[name] === null && getColumn(name).type === 'integer';
+  });
+
+  const errors = missingRequired(record)
+    .filter(name => !invalid.includes(name))
+    .map(name => `Missing required field: ${name}`);
+  invalid.forEach((name) => {
+    errors.push(`${name} must be a whole number (got "${row[mapping[name]]}")`);
+  });
+
+  const year = record.Year;
+  const { min, max } = yearBounds();
+  if (year !== null && (year < min || year > max)) {
+    errors.push(`Year must be between ${min} and ${max}`);
+  }
+
+  return errors;
+}
+
+// Live certificates for the given EO Numbers, keyed by EO Number. Trashed
+// certificates do not hold their EO Number (migration 016) and are left out.
+async function findExistingCertificates(eoNumbers, db = knex) {
+  const existing = new Map();
+  const unique = [...new Set(eoNumbers.filter(Boolean))];
+
+  for (let i = 0; i < unique.length; i += LOOKUP_CHUNK_SIZE) {
+    const chunk = unique.slice(i, i + LOOKUP_CHUNK_SIZE);
+    const rows = await liveCertificates(db).select(SELECT_COLUMNS).whereIn(EO_NUMBER, chunk);
+    rows.forEach(r => existing.set(r[EO_NUMBER], r));
+  }
+
+  return existing;
+}
+
+// Fields the file supplied that differ from the stored certificate.
+// Blank cells never clear stored values.
+function diffRecord(existing, record, mapping) {
+  return Object.keys(record).reduce((changes, name) => {
+    if (!mapping[name] || record[name] === null) return changes;
+    const from = existing[name] === undefined ? null : existing[name];
+    if (String(from) !== String(record[name])) {
+      changes[name] = { from, to: record[name] };
+    }
+    return changes;
+  }, {});
+}
+
+// Work out, without writing anything, what importing each row would do.
+// rows come from readImportFile.
+// Each plan entry: { sheet, row, mapping, record, errors, action, reason, id, changes }
+// where action is 'insert', 'update', 'unchanged', 'skip' or 'invalid'.
+//
+// Modes:
+//  - insert:       new EO Numbers are inserted, existing ones skipped
+//  - upsert:       existing EO Numbers get their changed fields updated
+//  - replace-year: live certificates of options.year are moved to the trash
+//                  first, then the file's rows for that year are inserted
+// options.profile is an optional import_mapping_profiles row.
+async function planImport(rows, options = {}, db = knex) {
+  const { mode = 'insert', year = null, profile = null } = options;
+
+  const mapped = rows.map(({ sheet, row, values }) => {
+    const { record, mapping } = mapRow(values, profile);
+    return { sheet, row, mapping, record, errors: validateRecord(record, mapping, values) };
+  });
+
+  const existing = await findExistingCertificates(mapped.map(m => m.record[EO_NUMBER]), db);
+  const seenInFile = new Set();
+
+  return mapped.map((entry) => {
+    const eoNumber = entry.record[EO_NUMBER];
+    const plan = { ...entry, action: 'insert', reason: null, id: null, changes: null };
+
+    if (entry.errors.length > 0) {
+      return { ...plan, action: 'invalid' };
+    }
+    if (mode === 'replace-year' && entry.record.Year !== year) {
+      return { ...plan, action: 'skip', reason: `Year is not ${year}` };
+    }
+    if (seenInFile.has(eoNumber)) {
+      return { ...plan, action: 'skip', reason: 'Duplicate EO Number earlier in file' };
+    }
+    seenInFile.add(eoNumber);
+
+    const current = existing.get(eoNumber);
+    // In replace-year mode the year's certificates are trashed before loading
+    if (!current || (mode === 'replace-year' && current.Year === year)) {
+      return plan;
+    }
+
+    if (mode !== 'upsert') {
+      return { ...plan, action: 'skip', reason: 'EO Number already exists', id: current.id };
+    }
+
+    const changes = diffRecord(current, entry.record, entry.mapping);
+    return Object.keys(changes).length > 0
+      ? { ...plan, action: 'update', id: current.id, changes }
+      : { ...plan, action: 'unchanged', id: current.id };
+  });
+}
+
+// Count plan entries by action
+function summarizePlan(plan) {
+  return plan.reduce((acc, p) => {
+    acc[p.action] = (acc[p.action] || 0) + 1;
+    return acc;
+  }, { insert: 0, update: 0, unchanged: 0, skip: 0, invalid: 0 });
+}
+
+// Number of certificates a replace-year import would move to the trash
+async function countReplaced(options, db = knex) {
+  if (options.mode !== 'replace-year') return 0;
+  const [{ count }] = await liveCertificates(db).where('Year', options.year).count('* as count');
+  return parseInt(count, 10) || 0;
+}
+
+// Counters reported for an import run
+const emptyResult = () => ({
+  inserted: 0,
+  updated: 0,
+  unchanged: 0,
+  skipped: 0,
+  failed: 0,
+  deleted: 0,
+  errors: []
+});
+
+// Raised by applyPlan in strict mode so the surrounding transaction rolls back
+class ImportAbortedError extends Error {
+  constructor(result) {
+    super(`Import aborted: ${result.failed} rows failed`);
+    this.name = 'ImportAbortedError';
+    this.result = result;
+  }
+}
+
+// Write one plan entry. Runs inside its own savepoint so a failed statement
+// does not abort the surrounding Postgres transaction. With a batchId the
+// touched certificate is linked to the batch for history and rollback.
+// Each write is also recorded as a revision on behalf of userId.
+async function applyEntry(trx, entry, { batchId = null, userId = null } = {}) {
+  await trx.transaction(async (sp) => {
+    let certificate;
+    let link = { action: 'insert', previous: null, changes: null };
+
+    if (entry.action === 'update') {
+      const updateData = Object.keys(entry.changes).reduce((acc, name) => {
+        acc[name] = entry.changes[name].to;
+        return acc;
+      }, { updated_at: knex.fn.now() });
+
+      [certificate] = await sp('eo_certificates')
+        .where('id', entry.id)
+        .update(updateData)
+        .returning(SELECT_COLUMNS);
+
+      const previous = Object.keys(entry.changes).reduce((acc, name) => {
+        acc[name] = entry.changes[name].from;
+        return acc;
+      }, {});
+      link = { action: 'update', previous, changes: entry.changes };
+    } else {
+      [certificate] = await sp('eo_certificates')
+        .insert({
+          ...entry.record,
+          created_at: knex.fn.now(),
+          updated_at: knex.fn.now()
+        })
+        .returning(SELECT_COLUMNS);
+    }
+
+    await recordRevision(sp, {
+      action: link.action === 'insert' ? 'create' : 'update',
+      source: 'import',
+      userId,
+      batchId,
+      before: link.previous ? { ...certificate, ...link.previous } : null,
+      after: certificate
+    });
+
+    if (batchId) {
+      await sp('import_batch_rows').insert({
+        batch_id: batchId,
+        certificate_id: certificate.id,
+        eo_number: entry.record[EO_NUMBER],
+        action: link.action,
+        previous: link.previous ? JSON.stringify(link.previous) : null,
+        changes: link.changes ? JSON.stringify(link.changes) : null
+      });
+    }
+  });
+}
+
+// Move the live certificates of one model year to the trash (replace-year
+// mode), keeping a copy of each in the batch so a rollback can restore them.
+// Certificates already in the trash are left as they are.
+async function trashYear(trx, year, { batchId = null, userId = null } = {}) {
+  const removed = await liveCertificates(trx)
+    .where('Year', year)
+    .update({ deleted_at: knex.fn.now(), deleted_by: userId })
+    .returning([...SELECT_COLUMNS, ...TRASH_COLUMNS]);
+  if (removed.length === 0) return 0;
+
+  if (batchId) {
+    await trx.batchInsert('import_batch_rows', removed.map(row => ({
+      batch_id: batchId,
+      certificate_id: row.id,
+      eo_number: row[EO_NUMBER],
+      action: 'delete',
+      previous: JSON.stringify(row),
+      changes: null
+    })), LOOKUP_CHUNK_SIZE);
+  }
+  await recordRevisions(trx, removed.map(before => ({ action: 'delete', source: 'import', userId, batchId, before })));
+
+  return removed.length;
+}
+
+// Raised from an onProgress hook to stop an import; the transaction rolls back
+class ImportCancelledError extends Error {
+  constructor() {
+    super('Import cancelled');
+    this.name = 'ImportCancelledError';
+  }
+}
+
+// Write a plan inside the given transaction and report what happened.
+// With options.strict, any failed row throws ImportAbortedError after every
+// row has been tried, so the caller's transaction rolls back as a whole.
+// options.onProgress(processedRows) is awaited every PROGRESS_INTERVAL rows
+// and may throw (e.g. ImportCancelledError) to stop the import.
+// options.batchId links every written certificate to that import batch and
+// options.userId is recorded as the author of the resulting revisions.
+async function applyPlan(trx, plan, options = {}) {
+  const result = emptyResult();
+
+  if (options.mode === 'replace-year') {
+    result.deleted = await trashYear(trx, options.year, options);
+  }
+
+  for (const [index, entry] of plan.entries()) {
+    if (options.onProgress && index > 0 && index % PROGRESS_INTERVAL === 0) {
+      await options.onProgress(index);
+    }
+
+    if (entry.action === 'invalid') {
+      result.failed++;
+      result.errors.push({ sheet: entry.sheet, row: entry.row, eoNumber: entry.record[EO_NUMBER], error: entry.errors.join('; ') });
+      continue;
+    }
+    if (entry.action === 'skip') {
+      result.skipped++;
+      continue;
+    }
+    if (entry.action === 'unchanged') {
+      result.unchanged++;
+      continue;
+    }
+
+    try {
+      await applyEntry(trx, entry, options);
+      if (entry.action === 'update') result.updated++;
+      else result.inserted++;
+    } catch (err) {
+      result.failed++;
+      result.errors.push({ sheet: entry.sheet, row: entry.row, eoNumber: entry.record[EO_NUMBER], error: err.detail || err.message });
+    }
+  }
+
+  if (options.strict && result.failed > 0) {
+    throw new ImportAbortedError(result);
+  }
+
+  return result;
+}
+
+// Record an import run. Uploads are 'queued' with the stored file path and
+// options for the worker, which moves them to 'processing'.
+async function createBatch({ userId, filename, mode, strict, totalRows = 0, status = 'processing', options = {}, filePath = null }, db = knex) {
+  const [batch] = await db('import_batches')
+    .insert({
+      user_id: userId || null,
+      filename: filename || null,
+      mode,
+      strict: Boolean(strict),
+      status,
+      total_rows: totalRows,
+      options: JSON.stringify(options),
+      file_path: filePath,
+      created_at: knex.fn.now(),
+      updated_at: knex.fn.now()
+    })
+    .returning('*');
+  return batch;
+}
+
+// Store the outcome of an import run, including the full error list
+async function finishBatch(id, result, status, db = knex) {
+  const { inserted, updated, unchanged, skipped, failed, deleted, errors } = result;
+  await db('import_batches')
+    .where('id', id)
+    .update({
+      status,
+      inserted,
+      updated,
+      unchanged,
+      skipped,
+      failed,
+      deleted,
+      processed_rows: inserted + updated + unchanged + skipped + failed,
+      errors: JSON.stringify(errors),
+      completed_at: knex.fn.now(),
+      updated_at: knex.fn.now()
+    });
+}
+
+// Plan and apply rows for a batch in one transaction, then record the outcome.
+// Resolves to { status, result } with status 'completed', 'rolled_back'
+// (strict import with failures) or 'cancelled'. Other errors mark the batch
+// failed and are rethrown.
+async function runImport(batchId, rows, options) {
+  let result;
+  try {
+    result = await knex.transaction(async (trx) => {
+      const plan = await planImport(rows, options, trx);
+      return applyPlan(trx, plan, { ...options, batchId });
+    });
+  } catch (err) {
+    if (err instanceof ImportAbortedError) {
+      // Nothing was kept, but every failure is reported
+      const aborted = { ...err.result, inserted: 0, updated: 0, deleted: 0 };
+      await finishBatch(batchId, aborted, 'rolled_back');
+      return { status: 'rolled_back', result: aborted };
+    }
+    if (err instanceof ImportCancelledError) {
+      const cancelled = emptyResult();
+      await finishBatch(batchId, cancelled, 'cancelled');
+      return { status: 'cancelled', result: cancelled };
+    }
+    await finishBatch(batchId, { ...emptyResult(), errors: [{ row: null, error: err.message }] }, 'failed');
+    throw err;
+  }
+
+  await finishBatch(batchId, result, 'completed');
+  return { status: 'completed', result };
+}
+
+// Raised when a batch cannot be rolled back (wrong status, later changes to
+// the same certificates). conflicts lists the later batch ids; editedEoNumbers
+// the certificates changed outside imports since the batch ran.
+class ImportRollbackError extends Error {
+  constructor(message, conflicts = [], editedEoNumbers = []) {
+    super(message);
+    this.name = 'ImportRollbackError';
+    this.conflicts = conflicts;
+    this.editedEoNumbers = editedEoNumbers;
+  }
+}
+
+// Certificates of a batch changed outside imports after it was created: edits,
+// trash and restore (revisions without a batch) and status changes
+async function editedSince(trx, batch) {
+  const ids = trx('import_batch_rows').select('certificate_id').where('batch_id', batch.id);
+  const [revised, statusChanged] = await Promise.all([
+    trx('certificate_revisions')
+      .distinct('eo_number')
+      .whereIn('certificate_id', ids)
+      .whereNull('batch_id')
+      .where('created_at', '>', batch.created_at)
+      .pluck('eo_number'),
+    trx('certificate_status_changes')
+      .distinct('eo_number')
+      .whereIn('certificate_id', ids)
+      .where('created_at', '>', batch.created_at)
+      .pluck('eo_number')
+  ]);
+  return [...new Set([...revised, ...statusChanged])].sort();
+}
+
+// Undo a completed batch: move the certificates it inserted to the trash,
+// restore the previous values of those it updated and bring back those it
+// trashed (re-inserting them if they have been purged since). Refused when
+// any of them has been changed since, by a later import or by hand.
+// Each of those is recorded as a 'rollback' revision by userId.
+async function rollbackBatch(batchId, userId = null) {
+  return knex.transaction(async (trx) => {
+    const batch = await trx('import_batches').where('id', batchId).forUpdate().first();
+    if (!batch) return null;
+    if (batch.status !== 'completed') {
+      throw new ImportRollbackError(`Only completed imports can be rolled back (this one is ${batch.status})`);
+    }
+
+    // Later imports built on this one's rows; undoing it would clobber theirs
+    const conflicts = await trx('import_batch_rows as r')
+      .join('import_batches as b', 'b.id', 'r.batch_id')
+      .distinct('r.batch_id')
+      .where('r.batch_id', '>', batchId)
+      .whereNot('b.status', 'reverted')
+      .whereIn('r.certificate_id', trx('import_batch_rows').select('certificate_id').where('batch_id', batchId))
+      .orderBy('r.batch_id');
+    if (conflicts.length > 0) {
+      throw new ImportRollbackError(
+        'Later imports changed the same certificates; roll those back first',
+        conflicts.map(c => c.batch_id)
+      );
+    }
+
+    const edited = await editedSince(trx, batch);
+    if (edited.length > 0) {
+      throw new ImportRollbackError(
+        `Certificates were changed since this import: ${edited.join(', ')}. Undo those changes or edit them by hand instead`,
+        [],
+        edited
+      );
+    }
+
+    const links = await trx('import_batch_rows').where('batch_id', batchId).orderBy('id', 'desc');
+    const summary = { removed: 0, restored: 0, reinserted: 0 };
+
+    const revision = { source: 'rollback', userId, batchId };
+
+    // Inserted certificates go to the trash, where they can still be restored
+    const inserted = links.filter(l => l.action === 'insert').map(l => l.certificate_id);
+    summary.removed = (await trashCertificates(inserted, userId, { source: 'rollback', batchId }, trx)).length;
+
+    for (const link of links) {
+      if (link.action === 'update') {
+        const before = await trx('eo_certificates').select(SELECT_COLUMNS).where('id', link.certificate_id).first();
+        if (!before) continue;
+        const [after] = await trx('eo_certificates')
+          .where('id', link.certificate_id)
+          .update({ ...link.previous, updated_at: knex.fn.now() })
+          .returning(SELECT_COLUMNS);
+        await recordRevision(trx, { ...revision, action: 'update', before, after });
+        summary.restored++;
+      } else if (link.action === 'delete') {
+        const current = await trx('eo_certificates').select('id', 'deleted_at').where('id', link.certificate_id).first();
+        // Nothing to bring back
+        if (current && !current.deleted_at) continue;
+
+        try {
+          const [after] = await trx.transaction(sp => (current
+            ? sp('eo_certificates').where('id', current.id).update({ deleted_at: null, deleted_by: null })
+            : sp('eo_certificates').insert({ ...link.previous, deleted_at: null, deleted_by: null })
+          ).returning(SELECT_COLUMNS));
+          await recordRevision(trx, { ...revision, action: current ? 'restore' : 'create', after });
+        } catch (err) {
+          if (err.code === '23505') {
+            throw new ImportRollbackError(`Cannot restore EO Number ${link.eo_number}: it has been created again since`);
+          }
+          throw err;
+        }
+        summary.reinserted++;
+      }
+    }
+
+    await trx('import_batches')
+      .where('id', batchId)
+      .update({
+        status: 'reverted',
+        reverted_at: knex.fn.now(),
+        reverted_by: userId,
+        updated_at: knex.fn.now()
+      });
+
+    return summary;
+  });
+}
+
+module.exports = {
+  IMPORT_MODES,
+  TRANSFORMS,
+  KNOWN_HEADERS,
+  ImportFileError,
+  importUploadDir,
+  detectHeaderRow,
+  readImportFile,
+  readSingleColumn,
+  collectHeaders,
+  applyTransforms,
+  validateProfileMappings,
+  mapRow,
+  scoreProfile,
+  validateRecord,
+  findExistingCertificates,
+  diffRecord,
+  planImport,
+  summarizePlan,
+  countReplaced,
+  emptyResult,
+  ImportAbortedError,
+  ImportCancelledError,
+  applyPlan,
+  createBatch,
+  finishBatch,
+  runImport,
+  ImportRollbackError,
+  rollbackBatch
+};
@@ -0,0 +1,452 @@
+// services/certificateQuery.js - Shared filter, sort and search building for certificate listings
+// Used by the list, search and export endpoints so they accept the same params.
+const knex = require('../config/database');
+const {
+  COL,
+  SORTABLE_COLUMNS,
+  SEARCH_COLUMNS,
+  CERTIFICATE_STATUSES,
+  STATUS_COLUMNS,
+  SELECT_COLUMNS,
+  quoteColumn
+} = require('../config/certificateColumns');
+
+const DEFAULT_SORT = 'Year';
+
+// Must match the config used to build search_vector (migration 008)
+const SEARCH_CONFIG = 'simple';
+const TSQUERY = `to_tsquery('${SEARCH_CONFIG}', ?)`;
+
+const HIGHLIGHT_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true';
+const HIGHLIGHT_PREFIX = '_hl_';
+
+// Numeric engine size parsed from "Engine Size(L)" (migration 009)
+const ENGINE_LITERS = 'engine_size_liters';
+
+// Query/form flags arrive as strings ("true", "1", "yes")
+const isTruthy = (value) => ['true', '1', 'yes'].includes(String(value).toLowerCase());
+
+// Certificates that are not in the trash; the base of every read query
+const liveCertificates = (db = knex) => db('eo_certificates').whereNull('eo_certificates.deleted_at');
+
+const parseNumber = (value, parse) => {
+  if (value === undefined || value === null || value === '') return null;
+  const n = parse(value);
+  return Number.isNaN(n) ? null : n;
+};
+
+const DEFAULT_STATUS = 'active';
+
+// Statuses a `status` param may ask for. "expired" is not stored: it is an
+// active certificate whose expiry_date has passed, and such a certificate is
+// no longer listed as active.
+const FILTER_STATUSES = [...CERTIFICATE_STATUSES, 'expired'];
+
+const STATUS_CONDITIONS = {
+  active: "eo_certificates.status = 'active' AND (eo_certificates.expiry_date IS NULL OR eo_certificates.expiry_date >= CURRENT_DATE)",
+  expired: "eo_certificates.status = 'active' AND eo_certificates.expiry_date < CURRENT_DATE"
+};
+
+class StatusFilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StatusFilterError';
+  }
+}
+
+// Statuses to list for a `status` param: a comma-separated list, or "all"
+// (null: no status filter); active when omitted. Throws StatusFilterError
+// for unknown statuses.
+function parseStatusFilter(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return [DEFAULT_STATUS];
+  if (String(value).trim().toLowerCase() === 'all') return null;
+
+  const statuses = String(value)
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = statuses.filter(s => !FILTER_STATUSES.includes(s));
+  if (unknown.length > 0 || statuses.length === 0) {
+    throw new StatusFilterError(
+      `Unknown status: ${unknown.join(', ') || value}. Use "all" or a comma-separated list of: ${FILTER_STATUSES.join(', ')}`
+    );
+  }
+  return [...new Set(statuses)];
+}
+
+// SQL condition (with bindings) matching any of the parsed statuses
+function statusCondition(statuses) {
+  const bindings = [];
+  const parts = statuses.map((status) => {
+    if (STATUS_CONDITIONS[status]) return `(${STATUS_CONDITIONS[status]})`;
+    bindings.push(status);
+    return '(eo_certificates.status = ?)';
+  });
+  return { sql: `(${parts.join(' OR ')})`, bindings };
+}
+
+// Apply the list filters: year exact or yearFrom/yearTo range, engine size
+// range in litres (engineSizeMin/engineSizeMax), make/model/eo_number partial
+// match, status (active only unless asked). Unparseable numbers are ignored,
+// as the year filter always did; an unknown status throws StatusFilterError.
+function applyCertificateFilters(query, params = {}) {
+  const { year, make, model, eo_number } = params;
+  const int = (v) => parseNumber(v, x => parseInt(x, 10));
+  const float = (v) => parseNumber(v, x => parseFloat(String(x).replace(/\s*l$/i, '')));
+
+  // Columns contain spaces, so filters use whereRaw with quoted identifiers
+  if (year) {
+    const y = parseInt(year, 10);
+    if (!Number.isNaN(y)) query = query.whereRaw(`${COL.YEAR} = ?`, [y]);
+  }
+
+  const yearFrom = int(params.yearFrom);
+  const yearTo = int(params.yearTo);
+  if (yearFrom !== null) query = query.whereRaw(`${COL.YEAR} >= ?`, [yearFrom]);
+  if (yearTo !== null) query = query.whereRaw(`${COL.YEAR} <= ?`, [yearTo]);
+
+  const engineMin = float(params.engineSizeMin);
+  const engineMax = float(params.engineSizeMax);
+  if (engineMin !== null) query = query.where(ENGINE_LITERS, '>=', engineMin);
+  if (engineMax !== null) query = query.where(ENGINE_LITERS, '<=', engineMax);
+  if (make) query = query.whereRaw(`${COL.VEHICLE_MAKE} ILIKE ?`, [`%${make}%`]);
+  if (model) query = query.whereRaw(`${COL.VEHICLE_MODEL} ILIKE ?`, [`%${model}%`]);
+  if (eo_number) query = query.whereRaw(`${COL.EO_NUMBER} ILIKE ?`, [`%${eo_number}%`]);
+
+  const statuses = parseStatusFilter(params.status);
+  if (statuses) {
+    const { sql, bindings } = statusCondition(statuses);
+    query = query.whereRaw(sql, bindings);
+  }
+
+  return query;
+}
+
+// Whitelisted sort column and direction
+function resolveSort(sortBy, sortOrder) {
+  return {
+    column: SORTABLE_COLUMNS.has(sortBy) ? sortBy : DEFAULT_SORT,
+    order: (String(sortOrder).toLowerCase() === 'asc') ? 'asc' : 'desc'
+  };
+}
+
+// Whitelisted ORDER BY expression, e.g. "Vehicle Make" asc
+function sortExpression(sortBy, sortOrder) {
+  const { column, order } = resolveSort(sortBy, sortOrder);
+  return `${quoteColumn(column)} ${order}`;
+}
+
+// ---- Keyset (cursor) pagination ----
+// A cursor is base64url JSON of the sort it was issued for, the boundary
+// row's sort value and id, and the direction to read: { s, o, v, id, d }.
+
+class CursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CursorError';
+  }
+}
+
+// Sort value as Postgres prints it, so timestamps keep their microseconds
+const CURSOR_VALUE = '_cursor_value';
+
+const encodeCursor = (sort, row, direction) =>
+  Buffer.from(JSON.stringify({
+    s: sort.column,
+    o: sort.order,
+    v: row[CURSOR_VALUE],
+    id: row.id,
+    d: direction
+  })).toString('base64url');
+
+function decodeCursor(value, sort) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+  } catch (_) {
+    throw new CursorError('Invalid cursor');
+  }
+
+  if (!cursor || !Number.isInteger(cursor.id) || !['next', 'prev'].includes(cursor.d) || !('v' in cursor)) {
+    throw new CursorError('Invalid cursor');
+  }
+  if (cursor.s !== sort.column || cursor.o !== sort.order) {
+    throw new CursorError('Cursor was issued for a different sort order');
+  }
+  return cursor;
+}
+
+// Rows strictly after (value, id) when scanning in `order`, with id as the
+// tie-breaker. NULLs sort last ascending and first descending (Postgres
+// defaults), so they are handled explicitly instead of by row comparison.
+function afterKey(builder, column, order, value, id) {
+  const col = quoteColumn(column);
+
+  if (order === 'asc') {
+    if (value === null) return builder.whereRaw(`${col} IS NULL AND id > ?`, [id]);
+    return builder.whereRaw(`(${col} > ? OR ${col} IS NULL OR (${col} = ? AND id > ?))`, [value, value, id]);
+  }
+  if (value === null) return builder.whereRaw(`(${col} IS NOT NULL OR id < ?)`, [id]);
+  return builder.whereRaw(`(${col} < ? OR (${col} = ? AND id < ?))`, [value, value, id]);
+}
+
+// Fetch one page of `query` in keyset order. Returns the rows in sort order
+// plus the cursors for the neighbouring pages.
+async function fetchKeysetPage(query, sort, cursor, limit) {
+  const backwards = Boolean(cursor) && cursor.d === 'prev';
+  const scan = backwards ? (sort.order === 'asc' ? 'desc' : 'asc') : sort.order;
+
+  if (cursor) query = afterKey(query, sort.column, scan, cursor.v, cursor.id);
+
+  const rows = await query
+    .select(knex.raw(`${quoteColumn(sort.column)}::text AS ${CURSOR_VALUE}`))
+    .orderByRaw(`${quoteColumn(sort.column)} ${scan}`)
+    .orderBy('id', scan)
+    .limit(limit + 1);
+
+  const more = rows.length > limit;
+  if (more) rows.pop();
+  if (backwards) rows.reverse();
+
+  // Reading forward, there is a previous page iff we started from a cursor;
+  // reading backward, the same holds for the next page
+  const hasNext = backwards ? true : more;
+  const hasPrev = backwards ? more : Boolean(cursor);
+
+  const nextCursor = hasNext && rows.length ? encodeCursor(sort, rows[rows.length - 1], 'next') : null;
+  const prevCursor = hasPrev && rows.length ? encodeCursor(sort, rows[0], 'prev') : null;
+  rows.forEach(row => { delete row[CURSOR_VALUE]; });
+
+  return {
+    rows,
+    hasNext: hasNext && rows.length > 0,
+    hasPrev: hasPrev && rows.length > 0,
+    nextCursor,
+    prevCursor
+  };
+}
+
+// One page of live certificates for the GET /eo-certificates params (list
+// filters, sortBy/sortOrder, page/limit or pagination=cursor/cursor/
+// includeTotal). Resolves to the response body { certificates, pagination }.
+// Throws CursorError for a cursor that does not fit the requested sort and
+// StatusFilterError for an unknown status.
+async function listCertificates(params = {}) {
+  const {
+    page = 1,
+    limit = 20,
+    sortBy = DEFAULT_SORT,
+    sortOrder = 'desc',
+    pagination,
+    cursor,
+    includeTotal
+  } = params;
+
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.max(parseInt(limit, 10) || 20, 1);
+
+  const query = applyCertificateFilters(liveCertificates(), params);
+
+  // ---- Cursor mode: keyset pagination on (sort column, id) ----
+  if (pagination === 'cursor' || cursor !== undefined) {
+    const sort = resolveSort(sortBy, sortOrder);
+    const position = cursor ? decodeCursor(cursor, sort) : null;
+
+    const withTotal = includeTotal === undefined || isTruthy(includeTotal);
+    let totalRecords;
+    if (withTotal) {
+      const [{ count }] = await query.clone().count('* as count');
+      totalRecords = parseInt(count, 10) || 0;
+    }
+
+    const result = await fetchKeysetPage(query.clone().select(SELECT_COLUMNS), sort, position, limitNum);
+
+    return {
+      certificates: result.rows,
+      pagination: {
+        ...(withTotal ? { totalRecords } : {}),
+        pageSize: limitNum,
+        hasNext: result.hasNext,
+        hasPrev: result.hasPrev,
+        nextCursor: result.nextCursor,
+        prevCursor: result.prevCursor
+      }
+    };
+  }
+
+  // ---- Count for pagination ----
+  const [{ count }] = await query.clone().count('* as count');
+  const total = parseInt(count, 10) || 0;
+
+  // ---- Fetch paginated rows (sort column whitelisted) ----
+  const rows = await query
+    .select(SELECT_COLUMNS) // returns exact DB column names
+    .orderByRaw(sortExpression(sortBy, sortOrder))
+    .limit(limitNum)
+    .offset((pageNum - 1) * limitNum);
+
+  return {
+    certificates: rows,
+    pagination: {
+      totalRecords: total,
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      pageSize: limitNum,
+      hasNext: pageNum < Math.ceil(total / limitNum),
+      hasPrev: pageNum > 1
+    }
+  };
+}
+
+// Accepts "a,b,c" or ['a', 'b']; returns the list and any names not in the whitelist
+function parseColumnList(value) {
+  if (value === undefined || value === null || value === '') return { columns: null, unknown: [] };
+
+  const columns = (Array.isArray(value) ? value : String(value).split(','))
+    .map(c => String(c).trim())
+    .filter(Boolean);
+
+  return {
+    columns: [...new Set(columns)],
+    unknown: columns.filter(c => !SORTABLE_COLUMNS.has(c) && !STATUS_COLUMNS.includes(c))
+  };
+}
+
+// Turn free text into a tsquery where every word must match as a prefix:
+// "ford f-15" -> 'ford':* & 'f-15':*. Returns null when nothing searchable is left.
+function toPrefixQuery(text) {
+  if (text === undefined || text === null) return null;
+
+  const words = String(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s._-]+/gu, ' ')
+    .split(/\s+/)
+    .map(w => w.replace(/^[._-]+|[._-]+$/g, ''))
+    .filter(Boolean);
+
+  if (words.length === 0) return null;
+  return words.map(w => `'${w}':*`).join(' & ');
+}
+
+function applyTextSearch(query, tsquery) {
+  return query.whereRaw(`search_vector @@ ${TSQUERY}`, [tsquery]);
+}
+
+// Rank column plus one highlight column per searchable field; a highlight is
+// only produced for fields that actually matched the query
+function searchSelections(tsquery) {
+  const highlights = SEARCH_COLUMNS.map(c => {
+    const column = quoteColumn(c.name);
+    return knex.raw(
+      `CASE WHEN to_tsvector('${SEARCH_CONFIG}', coalesce(${column}, '')) @@ ${TSQUERY} ` +
+      `THEN ts_headline('${SEARCH_CONFIG}', ${column}, ${TSQUERY}, '${HIGHLIGHT_OPTIONS}') END AS ??`,
+      [tsquery, tsquery, `${HIGHLIGHT_PREFIX}${c.name}`]
+    );
+  });
+
+  return [knex.raw(`ts_rank_cd(search_vector, ${TSQUERY}) AS rank`, [tsquery]), ...highlights];
+}
+
+// Move the highlight columns of a search row into a `highlights` object
+function collectHighlights(row) {
+  const result = {};
+  const highlights = {};
+
+  Object.keys(row).forEach(key => {
+    if (!key.startsWith(HIGHLIGHT_PREFIX)) {
+      result[key] = row[key];
+    } else if (row[key] !== null) {
+      highlights[key.slice(HIGHLIGHT_PREFIX.length)] = row[key];
+    }
+  });
+
+  result.highlights = highlights;
+  return result;
+}
+
+// ---- Facets ----
+// Counts per distinct value of each facet column under the current filters,
+// computed in one GROUPING SETS query
+
+const FACETS = [
+  { name: 'year', column: 'Year' },
+  { name: 'make', column: 'Vehicle Make' },
+  { name: 'model', column: 'Vehicle Model' },
+  { name: 'manufacturer', column: 'Manufacturer' },
+  { name: 'vehicleClass', column: 'Vehicle Class' },
+  { name: 'testGroup', column: 'Test Group' },
+  { name: 'engineSize', column: 'Engine Size(L)' }
+];
+
+const compareText = (a, b) => String(a.value).localeCompare(String(b.value), undefined, { numeric: true });
+
+// Year newest first; engine size by parsed litres; everything else by value
+const FACET_ORDER = {
+  year: (a, b) => b.value - a.value,
+  engineSize: (a, b) => {
+    if (a.litres === null || b.litres === null) return (a.litres === null) - (b.litres === null) || compareText(a, b);
+    return a.litres - b.litres || compareText(a, b);
+  }
+};
+
+// `query` is a filtered eo_certificates query without a select. Returns
+// { total, facets: { year: [{ value, count }], ... } }; NULL values are left out.
+async function fetchFacets(query) {
+  const columns = FACETS.map(f => quoteColumn(f.column));
+  const sets = columns.map(c => `(${c})`).concat('()').join(', ');
+
+  const rows = await query
+    .select(knex.raw(columns.join(', ')))
+    .select(knex.raw(FACETS.map((f, i) => `GROUPING(${columns[i]}) AS g${i}`).join(', ')))
+    .select(knex.raw(`count(*)::int AS count, min(${ENGINE_LITERS}) AS litres`))
+    .groupByRaw(`GROUPING SETS (${sets})`);
+
+  const facets = FACETS.reduce((acc, f) => {
+    acc[f.name] = [];
+    return acc;
+  }, {});
+  let total = 0;
+
+  rows.forEach(row => {
+    const index = FACETS.findIndex((f, i) => row[`g${i}`] === 0);
+    if (index === -1) {
+      total = row.count;
+      return;
+    }
+    const facet = FACETS[index];
+    const value = row[facet.column];
+    if (value === null) return;
+    facets[facet.name].push({
+      value,
+      count: row.count,
+      ...(facet.name === 'engineSize' ? { litres: row.litres === null ? null : Number(row.litres) } : {})
+    });
+  });
+
+  FACETS.forEach(f => facets[f.name].sort(FACET_ORDER[f.name] || compareText));
+  return { total, facets };
+}
+
+module.exports = {
+  DEFAULT_SORT,
+  ENGINE_LITERS,
+  CursorError,
+  liveCertificates,
+  FILTER_STATUSES,
+  StatusFilterError,
+  parseStatusFilter,
+  statusCondition,
+  applyCertificateFilters,
+  resolveSort,
+  sortExpression,
+  decodeCursor,
+  fetchKeysetPage,
+  listCertificates,
+  parseColumnList,
+  toPrefixQuery,
+  applyTextSearch,
+  searchSelections,
+  collectHighlights,
+  FACETS,
+  fetchFacets
+};
@@ -0,0 +1,133 @@
+// services/certificateRevisions.js - Field-level change history for eo_certificates
+// Every write path (API, import, rollback, restore) records a revision in the
+// same transaction as the change itself.
+// Actions: create, update, delete (moved to the trash), restore (taken out
+// of the trash) and purge (removed for good).
+const knex = require('../config/database');
+const { CERTIFICATE_COLUMN_NAMES, SELECT_COLUMNS } = require('../config/certificateColumns');
+
+const EO_NUMBER = 'EO Number';
+const INSERT_CHUNK_SIZE = 500;
+
+// Certificate fields of a row, without id and timestamps
+const certificateFields = (row) =>
+  CERTIFICATE_COLUMN_NAMES.reduce((acc, name) => {
+    acc[name] = row[name] === undefined ? null : row[name];
+    return acc;
+  }, {});
+
+// { field: { from, to } } for every certificate field that differs
+function diffFields(before = {}, after = {}) {
+  return CERTIFICATE_COLUMN_NAMES.reduce((changes, name) => {
+    const from = before[name] === undefined ? null : before[name];
+    const to = after[name] === undefined ? null : after[name];
+    if (from !== to) changes[name] = { from, to };
+    return changes;
+  }, {});
+}
+
+// Row for certificate_revisions. `before`/`after` are certificate rows
+// (null for create/delete respectively).
+function revisionRow({ action, source = 'api', userId = null, batchId = null, restoredFromId = null, before = null, after = null }) {
+  const current = after || before;
+  return {
+    certificate_id: current.id,
+    eo_number: current[EO_NUMBER] || null,
+    action,
+    source,
+    user_id: userId,
+    batch_id: batchId,
+    restored_from_id: restoredFromId,
+    changes: JSON.stringify(diffFields(before ? certificateFields(before) : {}, after ? certificateFields(after) : {})),
+    snapshot: after ? JSON.stringify(certificateFields(after)) : null
+  };
+}
+
+// Record one revision. Updates that changed no certificate field are skipped.
+async function recordRevision(db, revision) {
+  const row = revisionRow(revision);
+  if (revision.action === 'update' && row.changes === '{}') return null;
+
+  const [saved] = await db('certificate_revisions').insert(row).returning('*');
+  return saved;
+}
+
+// Record many revisions of the same kind (bulk delete, replace-year)
+async function recordRevisions(db, revisions) {
+  if (revisions.length === 0) return;
+  await db.batchInsert('certificate_revisions', revisions.map(revisionRow), INSERT_CHUNK_SIZE);
+}
+
+// Raised when a revision cannot be restored (delete revision, EO clash)
+class RevisionRestoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RevisionRestoreError';
+  }
+}
+
+// Put a certificate back to the state recorded by one of its revisions,
+// taking it out of the trash or re-creating it with the same id if it has
+// been purged. Resolves to
+// { certificate, revision } (revision null if nothing changed), or null when
+// the revision does not belong to the certificate.
+async function restoreRevision(certificateId, revisionId, userId = null) {
+  return knex.transaction(async (trx) => {
+    const target = await trx('certificate_revisions')
+      .where({ id: revisionId, certificate_id: certificateId })
+      .first();
+    if (!target) return null;
+    if (!target.snapshot) {
+      throw new RevisionRestoreError('This revision deleted the certificate; restore an earlier revision instead');
+    }
+
+    const current = await trx('eo_certificates')
+      .select([...SELECT_COLUMNS, 'deleted_at'])
+      .where('id', certificateId)
+      .forUpdate()
+      .first();
+
+    const trashed = Boolean(current && current.deleted_at);
+    if (current && !trashed && Object.keys(diffFields(certificateFields(current), target.snapshot)).length === 0) {
+      return { certificate: current, revision: null };
+    }
+
+    let certificate;
+    try {
+      [certificate] = await trx.transaction(sp => (current
+        ? sp('eo_certificates')
+          .where('id', certificateId)
+          .update({ ...target.snapshot, deleted_at: null, deleted_by: null, updated_at: knex.fn.now() })
+          .returning(SELECT_COLUMNS)
+        : sp('eo_certificates')
+          .insert({ id: certificateId, ...target.snapshot, created_at: knex.fn.now(), updated_at: knex.fn.now() })
+          .returning(SELECT_COLUMNS)));
+    } catch (err) {
+      if (err.code === '23505') {
+        throw new RevisionRestoreError(`EO Number ${target.snapshot[EO_NUMBER]} is now used by another certificate`);
+      }
+      throw err;
+    }
+
+    const action = !current ? 'create' : (trashed ? 'restore' : 'update');
+    const revision = await recordRevision(trx, {
+      action,
+      source: 'restore',
+      userId,
+      restoredFromId: target.id,
+      before: current && !trashed ? current : null,
+      after: certificate
+    });
+
+    return { certificate, revision };
+  });
+}
+
+module.exports = {
+  certificateFields,
+  diffFields,
+  recordRevision,
+  recordRevisions,
+  RevisionRestoreError,
+  restoreRevision
+};
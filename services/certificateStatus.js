@@ -0,0 +1,189 @@
+// services/certificateStatus.js - Executive order lifecycle (active, superseded, revoked)
+// Status changes go through changeStatus() so each one carries a reason and
+// is logged in certificate_status_changes.
+const knex = require('../config/database');
+const { CERTIFICATE_STATUSES, SELECT_COLUMNS } = require('../config/certificateColumns');
+const { liveCertificates } = require('./certificateQuery');
+
+const EO_NUMBER = 'EO Number';
+
+// Allowed target statuses per current status. Staying in the same status
+// updates the reason, dates or replacement; a revoked EO can only be reinstated.
+const STATUS_TRANSITIONS = {
+  active: ['active', 'superseded', 'revoked'],
+  superseded: ['superseded', 'active', 'revoked'],
+  revoked: ['revoked', 'active']
+};
+
+// Longest superseded_by chain followed when looking for the current EO
+const MAX_CHAIN_LENGTH = 20;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class StatusChangeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StatusChangeError';
+  }
+}
+
+// YYYY-MM-DD, null to clear, undefined to keep
+function parseDate(value, name) {
+  if (value === undefined || value === null) return value;
+  const text = String(value).trim();
+  if (!DATE_PATTERN.test(text) || Number.isNaN(new Date(`${text}T00:00:00Z`).getTime())) {
+    throw new StatusChangeError(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return text;
+}
+
+// Validate a status change body:
+// { status, reason, supersededBy (EO Number), effectiveDate, expiryDate }
+function parseStatusChange(body = {}) {
+  const { status, reason, supersededBy } = body;
+
+  if (!CERTIFICATE_STATUSES.includes(status)) {
+    throw new StatusChangeError(`status must be one of: ${CERTIFICATE_STATUSES.join(', ')}`);
+  }
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new StatusChangeError('reason is required');
+  }
+
+  const replacement = supersededBy === undefined || supersededBy === null ? null : String(supersededBy).trim();
+  if (status === 'superseded' && !replacement) {
+    throw new StatusChangeError('supersededBy (the replacing EO Number) is required to supersede a certificate');
+  }
+  if (status === 'active' && replacement) {
+    throw new StatusChangeError('An active certificate cannot be superseded by another');
+  }
+
+  return {
+    status,
+    reason: reason.trim(),
+    supersededBy: replacement || null,
+    effectiveDate: parseDate(body.effectiveDate, 'effectiveDate'),
+    expiryDate: parseDate(body.expiryDate, 'expiryDate')
+  };
+}
+
+// pg returns DATE columns as Date objects at local midnight
+const toDateString = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string') return value.slice(0, 10);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+// Stored status, except that an active certificate whose expiry date has
+// passed is 'expired' (see FILTER_STATUSES in certificateQuery.js)
+function effectiveStatus(certificate, now = new Date()) {
+  const expiry = toDateString(certificate.expiry_date);
+  if (certificate.status === 'active' && expiry && expiry < toDateString(now)) return 'expired';
+  return certificate.status;
+}
+
+// Apply a parsed status change to a certificate. Resolves to
+// { certificate, change }, or null when the certificate does not exist.
+async function changeStatus(certificateId, change, userId = null) {
+  return knex.transaction(async (trx) => {
+    const certificate = await liveCertificates(trx)
+      .select(SELECT_COLUMNS)
+      .where('id', certificateId)
+      .forUpdate()
+      .first();
+    if (!certificate) return null;
+
+    if (!STATUS_TRANSITIONS[certificate.status].includes(change.status)) {
+      throw new StatusChangeError(`A ${certificate.status} certificate cannot become ${change.status}`);
+    }
+
+    let replacement = null;
+    if (change.supersededBy) {
+      replacement = await liveCertificates(trx)
+        .select('id', EO_NUMBER, 'status', 'expiry_date')
+        .where(EO_NUMBER, change.supersededBy)
+        .first();
+      if (!replacement) throw new StatusChangeError(`EO Number ${change.supersededBy} not found`);
+      if (replacement.id === certificate.id) throw new StatusChangeError('A certificate cannot supersede itself');
+      // Only active EOs can replace others, so superseded_by chains never loop
+      if (effectiveStatus(replacement) !== 'active') {
+        throw new StatusChangeError(`EO Number ${change.supersededBy} is ${effectiveStatus(replacement)}; the replacement must be active`);
+      }
+    }
+
+    const effectiveDate = change.effectiveDate !== undefined ? change.effectiveDate : toDateString(certificate.effective_date);
+    const expiryDate = change.expiryDate !== undefined ? change.expiryDate : toDateString(certificate.expiry_date);
+    if (effectiveDate && expiryDate && expiryDate < effectiveDate) {
+      throw new StatusChangeError('expiryDate cannot be before effectiveDate');
+    }
+    if (change.status === 'active' && expiryDate && expiryDate < toDateString(new Date())) {
+      throw new StatusChangeError(`expiryDate ${expiryDate} has passed; give a later expiryDate to keep the certificate active`);
+    }
+
+    const [updated] = await trx('eo_certificates')
+      .where('id', certificate.id)
+      .update({
+        status: change.status,
+        status_reason: change.reason,
+        superseded_by: replacement ? replacement.id : null,
+        effective_date: effectiveDate,
+        expiry_date: expiryDate,
+        status_changed_at: knex.fn.now(),
+        status_changed_by: userId,
+        updated_at: knex.fn.now()
+      })
+      .returning(SELECT_COLUMNS);
+
+    const [logged] = await trx('certificate_status_changes')
+      .insert({
+        certificate_id: certificate.id,
+        eo_number: certificate[EO_NUMBER],
+        from_status: certificate.status,
+        to_status: change.status,
+        reason: change.reason,
+        superseded_by: replacement ? replacement.id : null,
+        effective_date: effectiveDate,
+        expiry_date: expiryDate,
+        user_id: userId
+      })
+      .returning('*');
+
+    return { certificate: updated, change: logged };
+  });
+}
+
+// Supersession details for a certificate that is not active: its effective
+// status, the status change, the EO that directly replaced it and the active
+// EO at the end of the superseded_by chain (if any).
+async function supersessionDetails(certificate, db = knex) {
+  const chain = [];
+  const seen = new Set([certificate.id]);
+  let nextId = certificate.superseded_by;
+
+  while (nextId && !seen.has(nextId) && chain.length < MAX_CHAIN_LENGTH) {
+    const next = await liveCertificates(db).select(SELECT_COLUMNS).where('id', nextId).first();
+    if (!next) break;
+    chain.push(next);
+    seen.add(next.id);
+    nextId = next.superseded_by;
+  }
+
+  const last = chain[chain.length - 1];
+  return {
+    status: effectiveStatus(certificate),
+    reason: certificate.status_reason,
+    changedAt: certificate.status_changed_at,
+    supersededBy: chain[0] || null,
+    current: last && effectiveStatus(last) === 'active' ? last : null,
+    chain: chain.map(c => c[EO_NUMBER])
+  };
+}
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  StatusChangeError,
+  parseStatusChange,
+  effectiveStatus,
+  changeStatus,
+  supersessionDetails
+};
@@ -0,0 +1,148 @@
+// services/certificateSuggest.js - Typo-tolerant suggestions for EO numbers, makes and models
+// Ranks distinct values by pg_trgm similarity, with prefix matches first.
+// The SQL expressions match the trigram indexes from migration 011.
+const knex = require('../config/database');
+const {
+  applyCertificateFilters,
+  liveCertificates,
+  parseStatusFilter,
+  statusCondition
+} = require('./certificateQuery');
+const { escapeLike } = require('./searchFilter');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// pg_trgm's default similarity cut-off
+const DEFAULT_THRESHOLD = 0.3;
+
+// "D-260-44", "d 260 44" and "D26044" all normalise to "D26044"
+const normalizeEONumber = (value) => String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const SUGGEST_FIELDS = {
+  eoNumber: {
+    column: '"EO Number"',
+    expression: `upper(regexp_replace("EO Number", '[^A-Za-z0-9]', '', 'g'))`,
+    normalize: normalizeEONumber,
+    // The default 0.3 misses transposed digits in short codes like EO numbers
+    // ("D20644" vs "D26044" scores 0.27)
+    threshold: 0.2
+  },
+  make: {
+    column: '"Vehicle Make"',
+    expression: 'lower("Vehicle Make")',
+    normalize: (value) => String(value).trim().toLowerCase()
+  },
+  model: {
+    column: '"Vehicle Model"',
+    expression: 'lower("Vehicle Model")',
+    normalize: (value) => String(value).trim().toLowerCase()
+  }
+};
+
+const clampLimit = (limit) => Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+// The % and <% operators use the session thresholds; set them for the
+// current transaction only so the trigram indexes can still be used
+const setThreshold = (trx, threshold) =>
+  trx.raw(
+    `SELECT set_config('pg_trgm.similarity_threshold', ?, true), set_config('pg_trgm.word_similarity_threshold', ?, true)`,
+    [String(threshold), String(threshold)]
+  );
+
+// suggest() inside an open transaction
+async function suggestIn(trx, field, text, options = {}) {
+  const def = SUGGEST_FIELDS[field];
+  const term = def.normalize(text || '');
+  if (!term) return [];
+
+  const { column, expression, threshold = DEFAULT_THRESHOLD } = def;
+  const prefix = `${escapeLike(term)}%`;
+
+  await setThreshold(trx, threshold);
+
+  const rows = await applyCertificateFilters(liveCertificates(trx), options.filters || {})
+    .select(trx.raw(`${column} AS value`))
+    .select(trx.raw(
+      `max(greatest(similarity(${expression}, ?), word_similarity(?, ${expression}))) AS score`,
+      [term, term]
+    ))
+    .select(trx.raw(`bool_or(${expression} LIKE ?) AS prefix`, [prefix]))
+    .where(function() {
+      this.whereRaw(`${expression} % ?`, [term])
+        .orWhereRaw(`? <% ${expression}`, [term])
+        .orWhereRaw(`${expression} LIKE ?`, [prefix]);
+    })
+    .whereNotNull(trx.raw(column))
+    .groupByRaw(column)
+    .orderByRaw('prefix desc, score desc, value')
+    .limit(clampLimit(options.limit));
+
+  return rows.map(r => ({ value: r.value, score: Math.round(Number(r.score) * 1000) / 1000 }));
+}
+
+// Distinct values of `field` close to `text`: [{ value, score }], best first.
+// `filters` takes the getCertificates filter params (e.g. year, make, status;
+// active certificates only unless status says otherwise).
+const suggest = (field, text, options = {}) =>
+  knex.transaction(trx => suggestIn(trx, field, text, options));
+
+// suggest() for several fields in one transaction: { field: [{ value, score }] }
+const suggestFields = (fields, text, options = {}) =>
+  knex.transaction(async (trx) => {
+    const suggestions = {};
+    for (const field of fields) {
+      suggestions[field] = await suggestIn(trx, field, text, options);
+    }
+    return suggestions;
+  });
+
+// Near matches for many EO numbers in one query: Map of input -> [values].
+// Each input gets its own trigram search (LATERAL), best `perTerm` kept.
+// options.status filters like suggest() does (active only by default).
+async function suggestEONumbers(eoNumbers, perTerm, options = {}) {
+  const def = SUGGEST_FIELDS.eoNumber;
+  const terms = [...new Set(eoNumbers.map(def.normalize).filter(Boolean))];
+  const suggestions = new Map();
+  if (terms.length === 0) return suggestions;
+
+  const statuses = parseStatusFilter(options.status);
+  const status = statuses ? statusCondition(statuses) : null;
+
+  const rows = await knex.transaction(async (trx) => {
+    await setThreshold(trx, def.threshold);
+
+    const { rows: matches } = await trx.raw(
+      `SELECT t.term, s.value
+         FROM unnest(?::text[]) AS t(term)
+         CROSS JOIN LATERAL (
+           SELECT ${def.column} AS value, similarity(${def.expression}, t.term) AS score
+             FROM eo_certificates
+            WHERE ${def.expression} % t.term
+              AND deleted_at IS NULL
+              ${status ? `AND ${status.sql}` : ''}
+            ORDER BY score DESC, ${def.column}
+            LIMIT ?
+         ) s
+        ORDER BY t.term, s.score DESC`,
+      [terms, ...(status ? status.bindings : []), perTerm]
+    );
+    return matches;
+  });
+
+  const byTerm = new Map();
+  rows.forEach(r => {
+    if (!byTerm.has(r.term)) byTerm.set(r.term, []);
+    byTerm.get(r.term).push(r.value);
+  });
+  eoNumbers.forEach(eo => suggestions.set(eo, byTerm.get(def.normalize(eo)) || []));
+  return suggestions;
+}
+
+module.exports = {
+  SUGGEST_FIELDS,
+  normalizeEONumber,
+  suggest,
+  suggestFields,
+  suggestEONumbers
+};
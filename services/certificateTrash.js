@@ -0,0 +1,139 @@
+// services/certificateTrash.js - Soft delete (trash bin), restore and purge for eo_certificates
+// Deleting a certificate only sets deleted_at; read queries go through
+// liveCertificates() so trashed rows disappear everywhere. Trashed rows keep
+// their attachments until they are purged after the retention period; their
+// EO Number is free to be used again (migration 016) but then blocks a restore.
+const knex = require('../config/database');
+const { SELECT_COLUMNS, TRASH_COLUMNS } = require('../config/certificateColumns');
+const { liveCertificates } = require('./certificateQuery');
+const { recordRevisions } = require('./certificateRevisions');
+const { detachAll, removeFiles } = require('./certificateAttachments');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a certificate stays in the trash (TRASH_RETENTION_DAYS). Read on every
+// call because server.js loads .env after the routes are required.
+function retentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+// When a trashed certificate becomes eligible for purging
+const purgeDate = (deletedAt, days = retentionDays()) =>
+  new Date(new Date(deletedAt).getTime() + days * DAY_MS);
+
+// Raised when a restore would give two live certificates the same EO Number.
+// eoNumbers lists the EO Numbers in the way.
+class TrashRestoreError extends Error {
+  constructor(message, eoNumbers = []) {
+    super(message);
+    this.name = 'TrashRestoreError';
+    this.eoNumbers = eoNumbers;
+  }
+}
+
+// certificateIds from a bulk request body: a non-empty array of positive
+// integer ids (numbers or digit strings); null when anything else is given
+const parseIds = (ids) => {
+  if (!Array.isArray(ids) || ids.length === 0) return null;
+  const parsed = ids.map(id => (
+    ['number', 'string'].includes(typeof id) && /^\d{1,10}$/.test(String(id).trim()) ? Number(id) : NaN
+  ));
+  return parsed.every(id => id > 0 && id <= 2147483647) ? parsed : null;
+};
+
+const trashedCertificates = (db = knex) => db('eo_certificates').whereNotNull('eo_certificates.deleted_at');
+
+// Move live certificates to the trash; resolves to the rows trashed.
+// Ids that do not exist or are already in the trash are ignored. `revision`
+// adds to the recorded revisions (e.g. { source: 'rollback', batchId });
+// `db` may be an outer transaction.
+async function trashCertificates(ids, userId = null, revision = {}, db = knex) {
+  return db.transaction(async (trx) => {
+    const rows = await trx('eo_certificates')
+      .whereIn('id', ids)
+      .whereNull('deleted_at')
+      .update({ deleted_at: knex.fn.now(), deleted_by: userId })
+      .returning([...SELECT_COLUMNS, ...TRASH_COLUMNS]);
+
+    await recordRevisions(trx, rows.map(before => ({ ...revision, action: 'delete', userId, before })));
+    return rows;
+  });
+}
+
+// Bring trashed certificates back; resolves to the rows restored. All or
+// nothing: throws TrashRestoreError if any of them has an EO Number that a
+// live certificate (or another one being restored) now holds.
+async function restoreCertificates(ids, userId = null) {
+  return knex.transaction(async (trx) => {
+    const eoNumbers = await trashedCertificates(trx).whereIn('id', ids).pluck('EO Number');
+    const taken = await liveCertificates(trx).whereIn('EO Number', eoNumbers).pluck('EO Number');
+    const repeated = eoNumbers.filter((eo, i) => eoNumbers.indexOf(eo) !== i);
+    const conflicts = [...new Set([...taken, ...repeated])].sort();
+    if (conflicts.length > 0) {
+      throw new TrashRestoreError(
+        `EO Numbers would no longer be unique among live certificates: ${conflicts.join(', ')}`,
+        conflicts
+      );
+    }
+
+    const rows = await trashedCertificates(trx)
+      .whereIn('id', ids)
+      .update({ deleted_at: null, deleted_by: null })
+      .returning(SELECT_COLUMNS);
+
+    await recordRevisions(trx, rows.map(after => ({ action: 'restore', userId, after })));
+    return rows;
+  });
+}
+
+// Permanently remove certificates that have been in the trash for more than
+// `days` days, with their attachments. Their history stays in
+// certificate_revisions, so a purged certificate can still be re-created
+// from a revision. Resolves to the count.
+async function purgeTrash(days = retentionDays(), userId = null) {
+  const { count, files } = await knex.transaction(async (trx) => {
+    const rows = await trashedCertificates(trx)
+      .whereRaw('deleted_at < now() - make_interval(days => ?)', [days])
+      .del()
+      .returning([...SELECT_COLUMNS, ...TRASH_COLUMNS]);
+
+    await recordRevisions(trx, rows.map(before => ({ action: 'purge', userId, before })));
+    return { count: rows.length, files: await detachAll(trx, rows.map(r => r.id)) };
+  });
+
+  // Only once the rows are gone for good
+  removeFiles(files);
+  return count;
+}
+
+let purgeTimer = null;
+
+// Purge expired trash now and then once a day
+function startTrashPurge() {
+  if (purgeTimer) return;
+
+  const run = () => purgeTrash()
+    .then(count => {
+      if (count) console.log(`🗑️  Purged ${count} certificates from the trash`);
+    })
+    .catch(error => console.error('❌ Trash purge failed:', error.message));
+
+  run();
+  purgeTimer = setInterval(run, PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+}
+
+module.exports = {
+  TrashRestoreError,
+  retentionDays,
+  purgeDate,
+  parseIds,
+  trashedCertificates,
+  trashCertificates,
+  restoreCertificates,
+  purgeTrash,
+  startTrashPurge
+};
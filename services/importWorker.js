@@ -0,0 +1,159 @@
+// services/importWorker.js - In-process worker for queued spreadsheet imports
+// Processes one queued import_batches row at a time so a large upload does
+// not have to finish inside the HTTP request.
+const fs = require('fs');
+const knex = require('../config/database');
+const {
+  KNOWN_HEADERS,
+  ImportCancelledError,
+  readImportFile,
+  finishBatch,
+  emptyResult,
+  runImport
+} = require('./certificateImport');
+
+let running = false;
+let rerun = false;
+
+const removeFile = (filePath) => {
+  if (!filePath) return;
+  try { fs.unlinkSync(filePath); } catch (_) {}
+};
+
+const failBatch = (id, message) =>
+  finishBatch(id, { ...emptyResult(), errors: [{ row: null, error: message }] }, 'failed');
+
+// Claim a queued batch; returns null if another caller got there first
+async function claimBatch(id) {
+  const [batch] = await knex('import_batches')
+    .where({ id, status: 'queued' })
+    .update({
+      status: 'processing',
+      processed_rows: 0,
+      started_at: knex.fn.now(),
+      updated_at: knex.fn.now()
+    })
+    .returning('*');
+  return batch || null;
+}
+
+// Progress hook for applyPlan: store rows processed, stop if cancel was requested
+const progressReporter = (id) => async (processedRows) => {
+  const [batch] = await knex('import_batches')
+    .where('id', id)
+    .update({ processed_rows: processedRows, updated_at: knex.fn.now() })
+    .returning(['cancel_requested']);
+  if (batch && batch.cancel_requested) throw new ImportCancelledError();
+};
+
+async function processBatch(queued) {
+  const batch = await claimBatch(queued.id);
+  if (!batch) return;
+
+  const options = batch.options || {};
+
+  try {
+    let profile = null;
+    if (options.profileId) {
+      profile = await knex('import_mapping_profiles').where('id', options.profileId).first();
+      if (!profile) {
+        await failBatch(batch.id, 'Mapping profile not found');
+        return;
+      }
+    }
+
+    const { rows } = readImportFile(batch.file_path, {
+      originalName: batch.filename,
+      sheets: options.sheets,
+      headerRow: options.headerRow,
+      knownHeaders: profile ? KNOWN_HEADERS.concat(profile.mappings.map(m => m.source)) : KNOWN_HEADERS
+    });
+
+    await knex('import_batches')
+      .where('id', batch.id)
+      .update({ total_rows: rows.length, updated_at: knex.fn.now() });
+
+    const { status } = await runImport(batch.id, rows, {
+      mode: batch.mode,
+      year: options.year != null ? options.year : null,
+      strict: batch.strict,
+      profile,
+      userId: batch.user_id,
+      onProgress: progressReporter(batch.id)
+    });
+    console.log(`📥 Import batch ${batch.id} ${status}`);
+  } catch (error) {
+    console.error(`❌ Import batch ${batch.id} failed:`, error.message);
+    // runImport already recorded its own failures; this covers file errors
+    const current = await knex('import_batches').select('status').where('id', batch.id).first();
+    if (current && current.status === 'processing') await failBatch(batch.id, error.message);
+  } finally {
+    removeFile(batch.file_path);
+  }
+}
+
+async function drain() {
+  try {
+    for (;;) {
+      const next = await knex('import_batches')
+        .select('id')
+        .where('status', 'queued')
+        .orderBy('id')
+        .first();
+      if (!next) break;
+      await processBatch(next);
+    }
+  } catch (error) {
+    console.error('❌ Import worker error:', error.message);
+  } finally {
+    running = false;
+    if (rerun) {
+      rerun = false;
+      startImportWorker();
+    }
+  }
+}
+
+// Start processing queued batches if the worker is idle
+function startImportWorker() {
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+  setImmediate(drain);
+}
+
+// On startup: batches left 'processing' by a restart rolled back with their
+// transaction, so requeue them if the upload is still on disk, else fail them
+async function recoverImportJobs() {
+  const interrupted = await knex('import_batches')
+    .select('id', 'file_path', 'cancel_requested')
+    .where('status', 'processing');
+
+  let resumed = 0;
+  let failed = 0;
+
+  for (const batch of interrupted) {
+    if (batch.cancel_requested) {
+      await finishBatch(batch.id, emptyResult(), 'cancelled');
+      removeFile(batch.file_path);
+    } else if (batch.file_path && fs.existsSync(batch.file_path)) {
+      await knex('import_batches')
+        .where('id', batch.id)
+        .update({ status: 'queued', processed_rows: 0, updated_at: knex.fn.now() });
+      resumed++;
+    } else {
+      await failBatch(batch.id, 'Interrupted by server restart');
+      failed++;
+    }
+  }
+
+  startImportWorker();
+  return { resumed, failed };
+}
+
+module.exports = {
+  startImportWorker,
+  recoverImportJobs
+};
@@ -0,0 +1,226 @@
+// services/searchFilter.js - Structured search bodies for POST /eo-certificates/search
+// Validates a JSON filter tree and sort list against the column whitelist,
+// then applies them to a knex query.
+//
+// Body shape:
+//   {
+//     "filters": { "or": [
+//       { "field": "Vehicle Make", "op": "equals", "value": "Ford" },
+//       { "and": [
+//         { "field": "Year", "op": "between", "value": [2010, 2015] },
+//         { "field": "Test Group", "op": "isNull", "value": false }
+//       ] }
+//     ] },
+//     "sort": [{ "field": "Year", "order": "desc" }, { "field": "EO Number" }]
+//   }
+// A top-level array of filters is treated as an AND group.
+const {
+  SORTABLE_COLUMNS,
+  getColumn,
+  quoteColumn
+} = require('../config/certificateColumns');
+
+const FILTER_OPERATORS = ['equals', 'contains', 'startsWith', 'in', 'between', 'isNull'];
+const TEXT_OPERATORS = ['contains', 'startsWith'];
+
+const MAX_FILTER_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+const MAX_IN_VALUES = 1000;
+const MAX_SORT_FIELDS = 5;
+
+class SearchQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchQueryError';
+  }
+}
+
+// Certificate columns carry their type; the bookkeeping columns are fixed
+const columnType = (field) => {
+  const column = getColumn(field);
+  if (column) return column.type;
+  return field === 'id' ? 'integer' : 'timestamp';
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Coerce one filter value to the field's type. Only JSON strings and numbers
+// are accepted: Number(true) is 1 and Number('') is 0, so booleans and blank
+// strings would otherwise slip through as integers.
+function coerceValue(field, type, value, path) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new SearchQueryError(`${path}: value for "${field}" must be a string or number`);
+  }
+  if (type === 'integer') {
+    const n = typeof value === 'string' && /^\s*-?\d+\s*$/.test(value) ? Number(value) : value;
+    if (typeof n !== 'number' || !Number.isSafeInteger(n)) {
+      throw new SearchQueryError(`${path}: "${field}" expects an integer`);
+    }
+    return n;
+  }
+  if (type === 'timestamp') {
+    if (Number.isNaN(new Date(value).getTime())) {
+      throw new SearchQueryError(`${path}: "${field}" expects a date`);
+    }
+    return String(value);
+  }
+  return String(value);
+}
+
+function parseCondition(node, path) {
+  const { field, op, value } = node;
+
+  if (!SORTABLE_COLUMNS.has(field)) throw new SearchQueryError(`${path}: unknown field "${field}"`);
+  if (!FILTER_OPERATORS.includes(op)) {
+    throw new SearchQueryError(`${path}: op must be one of: ${FILTER_OPERATORS.join(', ')}`);
+  }
+
+  const type = columnType(field);
+
+  if (TEXT_OPERATORS.includes(op)) {
+    if (type !== 'string' && type !== 'text') {
+      throw new SearchQueryError(`${path}: ${op} only applies to text fields`);
+    }
+    const text = coerceValue(field, type, value, path);
+    if (text === '') throw new SearchQueryError(`${path}: ${op} needs a non-empty value`);
+    return { field, op, value: text };
+  }
+
+  if (op === 'in') {
+    if (!Array.isArray(value) || value.length === 0 || value.length > MAX_IN_VALUES) {
+      throw new SearchQueryError(`${path}: in expects an array of 1 to ${MAX_IN_VALUES} values`);
+    }
+    return { field, op, value: value.map(v => coerceValue(field, type, v, path)) };
+  }
+
+  if (op === 'between') {
+    if (!Array.isArray(value) || value.length !== 2 || (value[0] == null && value[1] == null)) {
+      throw new SearchQueryError(`${path}: between expects [from, to] (one side may be null)`);
+    }
+    return {
+      field,
+      op,
+      value: value.map(v => (v == null ? null : coerceValue(field, type, v, path)))
+    };
+  }
+
+  if (op === 'isNull') {
+    if (value !== undefined && typeof value !== 'boolean') {
+      throw new SearchQueryError(`${path}: isNull expects true or false`);
+    }
+    return { field, op, value: value !== false };
+  }
+
+  return { field, op, value: coerceValue(field, type, value, path) };
+}
+
+// Validate a filter tree; returns { combinator, conditions } groups and
+// { field, op, value } leaves with values coerced to the column types
+function parseFilter(input) {
+  let count = 0;
+
+  const parseNode = (node, path, depth) => {
+    if (depth > MAX_FILTER_DEPTH) throw new SearchQueryError(`${path}: filters nest deeper than ${MAX_FILTER_DEPTH} levels`);
+
+    if (Array.isArray(node)) return parseNode({ and: node }, path, depth);
+    if (!isPlainObject(node)) throw new SearchQueryError(`${path}: expected a filter object`);
+
+    const combinator = ['and', 'or'].find(key => node[key] !== undefined);
+    if (combinator) {
+      const children = node[combinator];
+      if (!Array.isArray(children) || children.length === 0) {
+        throw new SearchQueryError(`${path}.${combinator}: expected a non-empty array`);
+      }
+      return {
+        combinator,
+        conditions: children.map((child, i) => parseNode(child, `${path}.${combinator}[${i}]`, depth + 1))
+      };
+    }
+
+    count++;
+    if (count > MAX_CONDITIONS) throw new SearchQueryError(`filters: more than ${MAX_CONDITIONS} conditions`);
+    return parseCondition(node, path);
+  };
+
+  return parseNode(input, 'filters', 1);
+}
+
+// Validate a sort list: [{ field, order }] or ['Year', ...]
+function parseSort(input) {
+  const list = Array.isArray(input) ? input : [input];
+  if (list.length === 0 || list.length > MAX_SORT_FIELDS) {
+    throw new SearchQueryError(`sort: expected 1 to ${MAX_SORT_FIELDS} fields`);
+  }
+
+  return list.map((item, i) => {
+    const { field, order = 'asc' } = typeof item === 'string' ? { field: item } : (item || {});
+    if (!SORTABLE_COLUMNS.has(field)) throw new SearchQueryError(`sort[${i}]: unknown field "${field}"`);
+
+    const direction = String(order).toLowerCase();
+    if (direction !== 'asc' && direction !== 'desc') {
+      throw new SearchQueryError(`sort[${i}]: order must be asc or desc`);
+    }
+    return { field, order: direction };
+  });
+}
+
+// LIKE wildcards in user input are matched literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+function addCondition(builder, { field, op, value }) {
+  const column = quoteColumn(field);
+
+  switch (op) {
+    case 'equals':
+      return builder.whereRaw(`${column} = ?`, [value]);
+    case 'contains':
+      return builder.whereRaw(`${column} ILIKE ?`, [`%${escapeLike(value)}%`]);
+    case 'startsWith':
+      return builder.whereRaw(`${column} ILIKE ?`, [`${escapeLike(value)}%`]);
+    case 'in':
+      return builder.whereIn(field, value);
+    case 'between': {
+      const [from, to] = value;
+      if (from !== null && to !== null) return builder.whereRaw(`${column} BETWEEN ? AND ?`, [from, to]);
+      if (from !== null) return builder.whereRaw(`${column} >= ?`, [from]);
+      return builder.whereRaw(`${column} <= ?`, [to]);
+    }
+    case 'isNull':
+      return value ? builder.whereNull(field) : builder.whereNotNull(field);
+    default:
+      return builder;
+  }
+}
+
+function addNode(builder, node) {
+  if (!node.conditions) return addCondition(builder, node);
+
+  node.conditions.forEach((child, i) => {
+    const method = (node.combinator === 'or' && i > 0) ? 'orWhere' : 'where';
+    builder[method](function() {
+      addNode(this, child);
+    });
+  });
+  return builder;
+}
+
+// Apply a parsed filter tree as one parenthesised WHERE clause
+function applySearchFilter(query, filter) {
+  return query.where(function() {
+    addNode(this, filter);
+  });
+}
+
+function applySort(query, sort) {
+  return sort.reduce((q, s) => q.orderByRaw(`${quoteColumn(s.field)} ${s.order}`), query);
+}
+
+module.exports = {
+  FILTER_OPERATORS,
+  SearchQueryError,
+  escapeLike,
+  parseFilter,
+  parseSort,
+  applySearchFilter,
+  applySort
+};
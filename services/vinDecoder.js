@@ -0,0 +1,122 @@
+// services/vinDecoder.js - Offline 17-character VIN decoding and certificate matching
+// Uses the bundled WMI table, the model-year character (position 10) and the
+// North American check digit (position 9). No external service is called.
+const knex = require('../config/database');
+const { COL, SELECT_COLUMNS } = require('../config/certificateColumns');
+const { VIN_WMI } = require('../config/vinWmi');
+const { applyCertificateFilters, liveCertificates } = require('./certificateQuery');
+
+const VIN_LENGTH = 17;
+
+// I, O and Q are never used in a VIN
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Position-10 codes in order; the sequence repeats every 30 years from 1980
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+class VinError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VinError';
+  }
+}
+
+const normalizeVin = (vin) => String(vin || '').toUpperCase().replace(/[\s-]/g, '');
+
+function expectedCheckDigit(vin) {
+  const sum = vin.split('').reduce((total, ch, i) => {
+    const value = /[0-9]/.test(ch) ? Number(ch) : TRANSLITERATION[ch];
+    return total + value * WEIGHTS[i];
+  }, 0);
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+// Model year from position 10. For North American light vehicles a letter in
+// position 7 means the 2010-2039 cycle and a digit the 1980-2009 cycle; a
+// year more than a year in the future falls back to the earlier cycle.
+function decodeModelYear(vin, now = new Date()) {
+  const index = YEAR_CODES.indexOf(vin[9]);
+  if (index === -1) return null;
+
+  const early = 1980 + index;
+  const late = early + 30;
+  const latest = now.getFullYear() + 1;
+
+  if (/[A-Z]/.test(vin[6]) && late <= latest) return late;
+  if (/[0-9]/.test(vin[6])) return early;
+  return late <= latest ? late : early;
+}
+
+// Decode a VIN; throws VinError when it is not 17 valid characters.
+// The check digit result is reported rather than thrown so callers decide.
+function decodeVin(input) {
+  const vin = normalizeVin(input);
+
+  if (vin.length !== VIN_LENGTH) throw new VinError(`VIN must be ${VIN_LENGTH} characters`);
+  if (!VIN_PATTERN.test(vin)) throw new VinError('VIN contains invalid characters (I, O and Q are not allowed)');
+
+  const wmi = vin.slice(0, 3);
+  const entry = VIN_WMI[wmi] || null;
+  const expected = expectedCheckDigit(vin);
+
+  return {
+    vin,
+    wmi,
+    manufacturer: entry ? entry.manufacturer : null,
+    makes: entry ? entry.makes : [],
+    vds: vin.slice(3, 8),
+    modelYear: decodeModelYear(vin),
+    plantCode: vin[10],
+    serialNumber: vin.slice(11),
+    checkDigit: {
+      actual: vin[8],
+      expected,
+      valid: vin[8] === expected
+    }
+  };
+}
+
+// Certificates one model year either side are still offered, ranked lower
+const YEAR_TOLERANCE = 1;
+
+// Candidate certificates for a decoded VIN, best match first. Uses the same
+// year/make filters as the listing; exact year and exact make rank highest.
+async function findVinCandidates(decoded, limit) {
+  const year = decoded.modelYear;
+  const makes = decoded.makes.map(m => m.toLowerCase());
+
+  return applyCertificateFilters(liveCertificates(), {
+    yearFrom: year - YEAR_TOLERANCE,
+    yearTo: year + YEAR_TOLERANCE
+  })
+    .where(function() {
+      decoded.makes.forEach(make => {
+        this.orWhere(builder => applyCertificateFilters(builder, { make, status: 'all' }));
+      });
+    })
+    .select(SELECT_COLUMNS)
+    .select(knex.raw(
+      `(CASE WHEN ${COL.YEAR} = ? THEN 2 ELSE 0 END) + ` +
+      `(CASE WHEN lower(${COL.VEHICLE_MAKE}) IN (${makes.map(() => '?').join(', ')}) THEN 2 ELSE 1 END) AS match_score`,
+      [year, ...makes]
+    ))
+    .orderBy('match_score', 'desc')
+    .orderByRaw(`${COL.YEAR} desc, ${COL.VEHICLE_MAKE}, ${COL.VEHICLE_MODEL}, ${COL.EO_NUMBER}`)
+    .limit(limit);
+}
+
+module.exports = {
+  VinError,
+  normalizeVin,
+  decodeVin,
+  findVinCandidates
+};
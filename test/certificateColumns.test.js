@@ -0,0 +1,99 @@
+const {
+  getColumn,
+  normalizeValue,
+  mapRowWithSources,
+  fieldErrors
+} = require('../config/certificateColumns');
+
+describe('normalizeValue', () => {
+  const year = getColumn('Year');
+  const make = getColumn('Vehicle Make');
+
+  test('parses integers and drops what is not a number', () => {
+    expect(normalizeValue(year, '2014')).toBe(2014);
+    expect(normalizeValue(year, 2014)).toBe(2014);
+    expect(normalizeValue(year, 'n/a')).toBeNull();
+  });
+
+  test('does not truncate partial or fractional numbers', () => {
+    expect(normalizeValue(year, '2010abc')).toBeNull();
+    expect(normalizeValue(year, '20 10')).toBeNull();
+    expect(normalizeValue(year, 2010.5)).toBeNull();
+    expect(normalizeValue(year, '20.5')).toBeNull();
+    expect(normalizeValue(year, ' -3 ')).toBe(-3);
+  });
+
+  test('trims strings and turns blanks into null', () => {
+    expect(normalizeValue(make, '  Ford ')).toBe('Ford');
+    expect(normalizeValue(make, '   ')).toBeNull();
+    expect(normalizeValue(make, 42)).toBe('42');
+  });
+
+  test('keeps missing values as null', () => {
+    expect(normalizeValue(make, undefined)).toBeNull();
+    expect(normalizeValue(year, null)).toBeNull();
+  });
+});
+
+describe('mapRowWithSources', () => {
+  test('maps header aliases to column names and reports the source header', () => {
+    const { record, mapping } = mapRowWithSources({ 'EO no': ' D-1 ', Make: 'Ford', year: '2012' });
+
+    expect(record['EO Number']).toBe('D-1');
+    expect(record['Vehicle Make']).toBe('Ford');
+    expect(record.Year).toBe(2012);
+    expect(mapping['EO Number']).toBe('EO no');
+    expect(mapping.Year).toBe('year');
+  });
+
+  test('prefers the exact column name and skips empty cells', () => {
+    const { record, mapping } = mapRowWithSources({ 'EO Number': '', EO: 'D-2', 'Vehicle Model': 'F150', Model: 'X' });
+
+    expect(record['EO Number']).toBe('D-2');
+    expect(mapping['EO Number']).toBe('EO');
+    expect(mapping['Vehicle Model']).toBe('Vehicle Model');
+  });
+
+  test('leaves unmapped columns null', () => {
+    const { record, mapping } = mapRowWithSources({});
+
+    expect(record['Test Group']).toBeNull();
+    expect(mapping['Test Group']).toBeNull();
+  });
+});
+
+describe('fieldErrors', () => {
+  test('accepts a valid body, ignoring read-only fields', () => {
+    expect(fieldErrors({
+      id: 3,
+      status: 'active',
+      'EO Number': 'D-1',
+      'Vehicle Make': 'Ford',
+      'Vehicle Model': 'F150',
+      Year: '2012'
+    })).toEqual([]);
+  });
+
+  test('reports unknown fields and empty required fields', () => {
+    expect(fieldErrors({ Colour: 'red', 'EO Number': '  ' })).toEqual([
+      'Unknown field: Colour',
+      'EO Number is required and cannot be empty'
+    ]);
+  });
+
+  test('rejects values that are not strings or numbers', () => {
+    expect(fieldErrors({ 'Vehicle Make': true })).toEqual(['Vehicle Make must be a string or number']);
+    expect(fieldErrors({ 'Vehicle Make': ['Ford'] })).toEqual(['Vehicle Make must be a string or number']);
+  });
+
+  test('rejects partial and non-numeric whole numbers', () => {
+    expect(fieldErrors({ Year: '2012abc' })).toEqual(['Year must be a whole number (got "2012abc")']);
+    expect(fieldErrors({ Year: '20.5' })).toEqual(['Year must be a whole number (got "20.5")']);
+    expect(fieldErrors({ Year: '20 10' })).toEqual(['Year must be a whole number (got "20 10")']);
+  });
+
+  test('checks the year range and string length', () => {
+    expect(fieldErrors({ Year: 1800 })[0]).toMatch(/^Year must be between 1900 and \d{4}$/);
+    expect(fieldErrors({ 'Vehicle Model': 'x'.repeat(256) })).toEqual(['Vehicle Model must be at most 255 characters']);
+  });
+});
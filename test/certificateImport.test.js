@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xlsx = require('xlsx');
+const {
+  TRANSFORMS,
+  ImportFileError,
+  detectHeaderRow,
+  readImportFile,
+  readSingleColumn
+} = require('../services/certificateImport');
+
+let dir;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eo-import-'));
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Write an .xlsx file with one sheet per entry of `sheets` ({ name: rows })
+function writeWorkbook(name, sheets) {
+  const workbook = xlsx.utils.book_new();
+  Object.entries(sheets).forEach(([sheetName, rows]) => {
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(rows), sheetName);
+  });
+  const filePath = path.join(dir, name);
+  xlsx.writeFile(workbook, filePath);
+  return filePath;
+}
+
+const TITLED_ROWS = [
+  ['California EO list'],
+  ['Exported 2024-01-01'],
+  ['EO no', 'Make', 'Model', 'year'],
+  ['D-1', 'Ford', 'F150', 2012],
+  ['D-2', 'GM', 'Sierra', 2013]
+];
+
+describe('detectHeaderRow', () => {
+  test('finds the header below title rows', () => {
+    expect(detectHeaderRow(xlsx.utils.aoa_to_sheet(TITLED_ROWS))).toBe(2);
+  });
+
+  test('does not take a single matching cell for a header by default', () => {
+    const sheet = xlsx.utils.aoa_to_sheet([['Certificates'], ['EO'], ['D-1']]);
+    expect(detectHeaderRow(sheet)).toBe(0);
+    expect(detectHeaderRow(sheet, undefined, 1)).toBe(1);
+  });
+
+  test('uses the given header names and minimum score', () => {
+    const sheet = xlsx.utils.aoa_to_sheet([['Report'], ['Order'], ['D-1']]);
+    expect(detectHeaderRow(sheet, ['order'], 1)).toBe(1);
+  });
+
+  test('returns 0 for an empty sheet', () => {
+    expect(detectHeaderRow({})).toBe(0);
+  });
+});
+
+describe('readImportFile', () => {
+  test('reads rows under the detected header with their sheet row numbers', () => {
+    const filePath = writeWorkbook('titled.xlsx', { EOs: TITLED_ROWS });
+    const { availableSheets, sheets, rows } = readImportFile(filePath);
+
+    expect(availableSheets).toEqual(['EOs']);
+    expect(sheets).toEqual([{ name: 'EOs', headerRow: 3, headers: ['EO no', 'Make', 'Model', 'year'], rowCount: 2 }]);
+    expect(rows[0]).toEqual({ sheet: 'EOs', row: 4, values: expect.objectContaining({ 'EO no': 'D-1', year: 2012 }) });
+  });
+
+  test('honours a forced header row and sheet selection', () => {
+    const filePath = writeWorkbook('sheets.xlsx', {
+      First: [['EO no', 'Make'], ['A-1', 'Ford']],
+      Second: [['ignored'], ['EO no', 'Make'], ['B-1', 'GM']]
+    });
+    const { sheets, rows } = readImportFile(filePath, { sheets: 'Second', headerRow: '2' });
+
+    expect(sheets.map(s => s.name)).toEqual(['Second']);
+    expect(rows.map(r => r.values['EO no'])).toEqual(['B-1']);
+  });
+
+  test('rejects unknown sheets and bad header rows', () => {
+    const filePath = writeWorkbook('one.xlsx', { Only: [['EO no'], ['A-1']] });
+
+    expect(() => readImportFile(filePath, { sheets: 'Missing' })).toThrow(ImportFileError);
+    expect(() => readImportFile(filePath, { headerRow: '0' })).toThrow('headerRow must be a positive row number');
+  });
+
+  test('reports a file it cannot parse as an ImportFileError', () => {
+    const filePath = path.join(dir, 'broken.xlsx');
+    fs.writeFileSync(filePath, Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x00, 0x01]));
+
+    expect(() => readImportFile(filePath, { originalName: 'broken.xlsx' })).toThrow(ImportFileError);
+  });
+});
+
+describe('readSingleColumn', () => {
+  test('reads the EO column under the detected header', () => {
+    const filePath = writeWorkbook('lookup.xlsx', {
+      Lookup: [['Batch lookup'], ['Ref', 'EO Number'], ['r1', ' D-1 '], ['r2', ''], ['r3', 'D-2']]
+    });
+
+    expect(readSingleColumn(filePath, { headerNames: ['EO Number'] })).toEqual(['D-1', 'D-2']);
+  });
+
+  test('falls back to the first column without a header', () => {
+    const filePath = writeWorkbook('plain.xlsx', { Lookup: [['D-1'], ['D-2']] });
+
+    expect(readSingleColumn(filePath, { headerNames: ['EO Number'] })).toEqual(['D-1', 'D-2']);
+  });
+});
+
+describe('TRANSFORMS', () => {
+  test('trim, case and whitespace transforms', () => {
+    expect(TRANSFORMS.trim('  a b ')).toBe('a b');
+    expect(TRANSFORMS.uppercase('d-1')).toBe('D-1');
+    expect(TRANSFORMS.lowercase('FORD')).toBe('ford');
+    expect(TRANSFORMS.collapseSpaces('  Super   Duty \t F250 ')).toBe('Super Duty F250');
+  });
+
+  test('parseYear reads full and two-digit years', () => {
+    expect(TRANSFORMS.parseYear('MY2014')).toBe(2014);
+    expect(TRANSFORMS.parseYear('1998 model')).toBe(1998);
+    expect(TRANSFORMS.parseYear('14')).toBe(2014);
+    expect(TRANSFORMS.parseYear("'87")).toBe(1987);
+  });
+
+  test('parseYear leaves other values unchanged', () => {
+    expect(TRANSFORMS.parseYear('unknown')).toBe('unknown');
+    expect(TRANSFORMS.parseYear('123')).toBe('123');
+  });
+});
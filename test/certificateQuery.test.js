@@ -0,0 +1,92 @@
+const {
+  CursorError,
+  StatusFilterError,
+  parseStatusFilter,
+  statusCondition,
+  decodeCursor,
+  toPrefixQuery
+} = require('../services/certificateQuery');
+
+const cursor = (fields) => Buffer.from(JSON.stringify(fields)).toString('base64url');
+
+describe('toPrefixQuery', () => {
+  test('requires every word as a prefix', () => {
+    expect(toPrefixQuery('Ford F-150')).toBe("'ford':* & 'f-150':*");
+  });
+
+  test('drops tsquery operators and stray punctuation', () => {
+    expect(toPrefixQuery("ford & !(gm) 'x' | 2.0.")).toBe("'ford':* & 'gm':* & 'x':* & '2.0':*");
+  });
+
+  test('returns null when nothing searchable is left', () => {
+    expect(toPrefixQuery('  &| ')).toBeNull();
+    expect(toPrefixQuery(undefined)).toBeNull();
+  });
+});
+
+describe('decodeCursor', () => {
+  const sort = { column: 'Year', order: 'desc' };
+
+  test('decodes a cursor issued for the same sort', () => {
+    const fields = { s: 'Year', o: 'desc', v: '2012', id: 7, d: 'next' };
+    expect(decodeCursor(cursor(fields), sort)).toEqual(fields);
+  });
+
+  test('accepts a null sort value', () => {
+    expect(decodeCursor(cursor({ s: 'Year', o: 'desc', v: null, id: 7, d: 'prev' }), sort).v).toBeNull();
+  });
+
+  test.each([
+    ['garbage', 'not-a-cursor'],
+    ['a missing id', cursor({ s: 'Year', o: 'desc', v: '2012', d: 'next' })],
+    ['an unknown direction', cursor({ s: 'Year', o: 'desc', v: '2012', id: 7, d: 'up' })],
+    ['a missing value', cursor({ s: 'Year', o: 'desc', id: 7, d: 'next' })]
+  ])('rejects %s', (_, value) => {
+    expect(() => decodeCursor(value, sort)).toThrow(new CursorError('Invalid cursor'));
+  });
+
+  test('rejects a cursor issued for another sort', () => {
+    const value = cursor({ s: 'Year', o: 'asc', v: '2012', id: 7, d: 'next' });
+    expect(() => decodeCursor(value, sort)).toThrow('Cursor was issued for a different sort order');
+  });
+});
+
+describe('parseStatusFilter', () => {
+  test('lists active certificates by default', () => {
+    expect(parseStatusFilter(undefined)).toEqual(['active']);
+    expect(parseStatusFilter(' ')).toEqual(['active']);
+  });
+
+  test('"all" means no status filter', () => {
+    expect(parseStatusFilter('ALL')).toBeNull();
+  });
+
+  test('parses a comma-separated list without duplicates', () => {
+    expect(parseStatusFilter('Revoked, superseded,revoked,expired')).toEqual(['revoked', 'superseded', 'expired']);
+  });
+
+  test('rejects unknown statuses, listing the valid ones', () => {
+    expect(() => parseStatusFilter('active,bogus')).toThrow(StatusFilterError);
+    expect(() => parseStatusFilter('bogus')).toThrow(
+      'Unknown status: bogus. Use "all" or a comma-separated list of: active, superseded, revoked, expired'
+    );
+    expect(() => parseStatusFilter(',')).toThrow(StatusFilterError);
+  });
+});
+
+describe('statusCondition', () => {
+  test('active and expired depend on the expiry date', () => {
+    const { sql, bindings } = statusCondition(['active', 'expired']);
+
+    expect(sql).toMatch(/expiry_date IS NULL OR eo_certificates\.expiry_date >= CURRENT_DATE/);
+    expect(sql).toMatch(/expiry_date < CURRENT_DATE/);
+    expect(bindings).toEqual([]);
+  });
+
+  test('stored statuses are bound as values', () => {
+    expect(statusCondition(['revoked', 'superseded'])).toEqual({
+      sql: '((eo_certificates.status = ?) OR (eo_certificates.status = ?))',
+      bindings: ['revoked', 'superseded']
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const { CERTIFICATE_STATUSES } = require('../config/certificateColumns');
+const {
+  STATUS_TRANSITIONS,
+  StatusChangeError,
+  parseStatusChange,
+  effectiveStatus
+} = require('../services/certificateStatus');
+
+describe('STATUS_TRANSITIONS', () => {
+  test('covers every status and only targets known statuses', () => {
+    expect(Object.keys(STATUS_TRANSITIONS).sort()).toEqual([...CERTIFICATE_STATUSES].sort());
+    Object.values(STATUS_TRANSITIONS).forEach((targets) => {
+      targets.forEach(target => expect(CERTIFICATE_STATUSES).toContain(target));
+    });
+  });
+
+  test('a revoked certificate can only be reinstated', () => {
+    expect(STATUS_TRANSITIONS.revoked).toEqual(['revoked', 'active']);
+    expect(STATUS_TRANSITIONS.active).toContain('superseded');
+  });
+});
+
+describe('parseStatusChange', () => {
+  test('trims the reason and replacement and keeps omitted dates undefined', () => {
+    expect(parseStatusChange({ status: 'superseded', reason: ' amended ', supersededBy: ' D-2 ' })).toEqual({
+      status: 'superseded',
+      reason: 'amended',
+      supersededBy: 'D-2',
+      effectiveDate: undefined,
+      expiryDate: undefined
+    });
+  });
+
+  test('passes dates through and null clears them', () => {
+    const change = parseStatusChange({ status: 'active', reason: 'x', effectiveDate: '2020-01-31', expiryDate: null });
+    expect(change.effectiveDate).toBe('2020-01-31');
+    expect(change.expiryDate).toBeNull();
+  });
+
+  test.each([
+    [{ status: 'expired', reason: 'x' }, 'status must be one of: active, superseded, revoked'],
+    [{ status: 'revoked' }, 'reason is required'],
+    [{ status: 'revoked', reason: '  ' }, 'reason is required'],
+    [{ status: 'superseded', reason: 'x' }, 'supersededBy (the replacing EO Number) is required to supersede a certificate'],
+    [{ status: 'active', reason: 'x', supersededBy: 'D-2' }, 'An active certificate cannot be superseded by another'],
+    [{ status: 'active', reason: 'x', effectiveDate: '2020-13-01' }, 'effectiveDate must be a date (YYYY-MM-DD)'],
+    [{ status: 'active', reason: 'x', expiryDate: '31/01/2020' }, 'expiryDate must be a date (YYYY-MM-DD)']
+  ])('rejects %p', (body, message) => {
+    expect(() => parseStatusChange(body)).toThrow(new StatusChangeError(message));
+  });
+});
+
+describe('effectiveStatus', () => {
+  const now = new Date(2024, 5, 15);
+
+  test('an active certificate past its expiry date is expired', () => {
+    expect(effectiveStatus({ status: 'active', expiry_date: '2024-06-14' }, now)).toBe('expired');
+    expect(effectiveStatus({ status: 'active', expiry_date: new Date(2024, 0, 1) }, now)).toBe('expired');
+  });
+
+  test('expiry on the day itself, or none, leaves it active', () => {
+    expect(effectiveStatus({ status: 'active', expiry_date: '2024-06-15' }, now)).toBe('active');
+    expect(effectiveStatus({ status: 'active', expiry_date: null }, now)).toBe('active');
+  });
+
+  test('other statuses are kept', () => {
+    expect(effectiveStatus({ status: 'revoked', expiry_date: '2020-01-01' }, now)).toBe('revoked');
+  });
+});
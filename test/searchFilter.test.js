@@ -0,0 +1,84 @@
+const { SearchQueryError, parseFilter, parseSort } = require('../services/searchFilter');
+
+describe('parseFilter', () => {
+  test('parses nested groups and coerces values to the column types', () => {
+    expect(parseFilter({
+      or: [
+        { field: 'Vehicle Make', op: 'equals', value: 'Ford' },
+        { and: [
+          { field: 'Year', op: 'between', value: ['2010', null] },
+          { field: 'Test Group', op: 'isNull', value: false }
+        ] }
+      ]
+    })).toEqual({
+      combinator: 'or',
+      conditions: [
+        { field: 'Vehicle Make', op: 'equals', value: 'Ford' },
+        {
+          combinator: 'and',
+          conditions: [
+            { field: 'Year', op: 'between', value: [2010, null] },
+            { field: 'Test Group', op: 'isNull', value: false }
+          ]
+        }
+      ]
+    });
+  });
+
+  test('treats a top-level array as an and group', () => {
+    expect(parseFilter([{ field: 'Year', op: 'in', value: [2010, '2011'] }])).toEqual({
+      combinator: 'and',
+      conditions: [{ field: 'Year', op: 'in', value: [2010, 2011] }]
+    });
+  });
+
+  test('rejects unknown fields and operators', () => {
+    expect(() => parseFilter({ field: 'Colour', op: 'equals', value: 'red' })).toThrow('unknown field "Colour"');
+    expect(() => parseFilter({ field: 'Year', op: 'like', value: 1 })).toThrow(SearchQueryError);
+  });
+
+  test('rejects text operators on integer fields', () => {
+    expect(() => parseFilter({ field: 'Year', op: 'contains', value: '20' })).toThrow('contains only applies to text fields');
+  });
+
+  test.each([true, '', '  ', '12abc', 1.5, null])('rejects %p as an integer value', (value) => {
+    expect(() => parseFilter({ field: 'Year', op: 'equals', value })).toThrow(SearchQueryError);
+  });
+
+  test('rejects bad in, between and isNull values', () => {
+    expect(() => parseFilter({ field: 'Year', op: 'in', value: [] })).toThrow(SearchQueryError);
+    expect(() => parseFilter({ field: 'Year', op: 'between', value: [null, null] })).toThrow(SearchQueryError);
+    expect(() => parseFilter({ field: 'Year', op: 'isNull', value: 'yes' })).toThrow('isNull expects true or false');
+  });
+
+  test('limits nesting depth and condition count', () => {
+    let deep = { field: 'Year', op: 'equals', value: 2010 };
+    for (let i = 0; i < 5; i++) deep = { and: [deep] };
+    expect(() => parseFilter(deep)).toThrow(/nest deeper/);
+
+    const many = Array.from({ length: 51 }, () => ({ field: 'Year', op: 'equals', value: 2010 }));
+    expect(() => parseFilter(many)).toThrow('filters: more than 50 conditions');
+  });
+
+  test('reports the path of the failing condition', () => {
+    expect(() => parseFilter({ or: [{ field: 'Year', op: 'equals', value: 1 }, { field: 'x', op: 'equals' }] }))
+      .toThrow('filters.or[1]: unknown field "x"');
+  });
+});
+
+describe('parseSort', () => {
+  test('accepts field names and objects, defaulting to ascending', () => {
+    expect(parseSort(['Year', { field: 'EO Number', order: 'DESC' }])).toEqual([
+      { field: 'Year', order: 'asc' },
+      { field: 'EO Number', order: 'desc' }
+    ]);
+    expect(parseSort('id')).toEqual([{ field: 'id', order: 'asc' }]);
+  });
+
+  test('rejects unknown fields, bad orders and too many fields', () => {
+    expect(() => parseSort([{ field: 'Colour' }])).toThrow('sort[0]: unknown field "Colour"');
+    expect(() => parseSort([{ field: 'Year', order: 'up' }])).toThrow('sort[0]: order must be asc or desc');
+    expect(() => parseSort([])).toThrow(SearchQueryError);
+    expect(() => parseSort(['Year', 'id', 'EO Number', 'Vehicle Make', 'Vehicle Model', 'created_at'])).toThrow(SearchQueryError);
+  });
+});
@@ -0,0 +1,50 @@
+const { VinError, normalizeVin, decodeVin } = require('../services/vinDecoder');
+
+describe('normalizeVin', () => {
+  test('uppercases and strips spaces and dashes', () => {
+    expect(normalizeVin(' 1hg cm826-33a004352 ')).toBe('1HGCM82633A004352');
+    expect(normalizeVin(undefined)).toBe('');
+  });
+});
+
+describe('decodeVin', () => {
+  test('decodes the manufacturer, model year and serial number', () => {
+    expect(decodeVin('1HGCM82633A004352')).toEqual({
+      vin: '1HGCM82633A004352',
+      wmi: '1HG',
+      manufacturer: 'American Honda Motor Co.',
+      makes: ['Honda'],
+      vds: 'CM826',
+      modelYear: 2003,
+      plantCode: 'A',
+      serialNumber: '004352',
+      checkDigit: { actual: '3', expected: '3', valid: true }
+    });
+  });
+
+  test('reports a wrong check digit without throwing', () => {
+    expect(decodeVin('1HGCM82643A004352').checkDigit).toEqual({ actual: '4', expected: '3', valid: false });
+  });
+
+  test('computes X when the remainder is 10', () => {
+    expect(decodeVin('1FTFW1ETXDFC00002').checkDigit).toEqual({ actual: 'X', expected: 'X', valid: true });
+  });
+
+  test('uses position 7 to pick the model year cycle', () => {
+    // Letter in position 7: 2010-2039; digit: 1980-2009
+    expect(decodeVin('1FTFW1ET5AFC10312').modelYear).toBe(2010);
+    expect(decodeVin('1FTFW13T5AFC10312').modelYear).toBe(1980);
+  });
+
+  test('leaves an unknown manufacturer and model year code null', () => {
+    const decoded = decodeVin('9ZZZZZZZ1ZZ123456');
+    expect(decoded.manufacturer).toBeNull();
+    expect(decoded.makes).toEqual([]);
+    expect(decoded.modelYear).toBeNull();
+  });
+
+  test('rejects VINs of the wrong length or with I, O or Q', () => {
+    expect(() => decodeVin('1HGCM82633A00435')).toThrow(new VinError('VIN must be 17 characters'));
+    expect(() => decodeVin('1HGCM82633A00435O')).toThrow(VinError);
+  });
+});